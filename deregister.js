@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Deregister zkTLS Operator
+ * Entry point - delegates to modular implementation
+ */
+
+const { logger } = require("./shared/logger");
+
+// Invalid settings throw while the configuration loads, before main runs
+if (require.main === module) {
+  try {
+    require("./shared/config");
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+const { DeregisterController } = require("./register/deregister.controller");
+
+async function main() {
+  const controller = await DeregisterController.create();
+  await controller.execute();
+}
+
+if (require.main === module) {
+  main().catch(exitWithError);
+}
+
+/**
+ * Log a fatal error and exit; a ConfigError already lists every problem
+ */
+function exitWithError(error) {
+  logger.error(
+    error.name === "ConfigError"
+      ? `❌ ${error.message}`
+      : `❌ Fatal error: ${error.stack || error.message}`
+  );
+  process.exit(1);
+}
+
+module.exports = { DeregisterController };
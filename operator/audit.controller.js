@@ -0,0 +1,191 @@
+/**
+ * Controller for the zkProof audit command
+ * Decodes validations of a task or task range and flags the ones whose
+ * embedded evidence does not support the submitted result
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { OperatorRepository } = require("./operator.repository");
+const { ZKTLSValidator } = require("./operator.validator");
+const { OperatorMetrics } = require("./operator.metrics");
+const { ZKProofAuditor } = require("./operator.audit");
+const { CONFIG, TASK_STATUS } = require("./operator.constants");
+const { createProvider, verifyChainId } = require("../shared/provider");
+const { requireSettings } = require("../shared/config");
+const { logger } = require("../shared/logger");
+
+const USAGE = `Usage:
+  npm run audit-proofs -- --task <id>
+  npm run audit-proofs -- --from <id> --to <id>
+                          [--operator <address>] [--out <file>]`;
+
+class AuditController {
+  constructor(argv) {
+    this.options = this._parseArgs(argv);
+    requireSettings("rpcUrls", "avsAddress");
+
+    this.provider = createProvider({
+      urls: CONFIG.rpcUrls,
+      quorum: CONFIG.rpcQuorum,
+      stallTimeout: CONFIG.rpcStallTimeout,
+    });
+    this.repository = new OperatorRepository(this.provider, this.provider);
+    this.validator = new ZKTLSValidator(new OperatorMetrics());
+    this.auditor = new ZKProofAuditor(this.repository, this.validator);
+  }
+
+  async execute() {
+    logger.info("\n🧾 zkProof audit\n");
+    logger.info(`📍 Network: ${CONFIG.network.name}`);
+    logger.info(`📍 AVS Contract: ${CONFIG.avsAddress}`);
+    logger.info(
+      `📍 Trusted attestors: ${
+        CONFIG.attestorAddresses.join(", ") || "(none, signatures not checked)"
+      }\n`
+    );
+    await verifyChainId(this.provider, CONFIG.network);
+
+    if (this.options.task) {
+      const entry = await this.auditor.audit(this.options.task);
+      this._printEntry(entry);
+      logger.info("\nDecoded zkProof:");
+      logger.info(JSON.stringify(entry.data, null, 2));
+      return { audited: 1, flagged: entry.flags.length > 0 ? 1 : 0 };
+    }
+
+    const entries = await this.auditor.auditRange(
+      this.options.from,
+      this.options.to,
+      (entry) => {
+        if (this._matchesOperator(entry)) {
+          this._printEntry(entry);
+          this._writeEntry(entry);
+        }
+      }
+    );
+
+    const audited = entries.filter(
+      (entry) =>
+        entry.status === TASK_STATUS.VALIDATED && this._matchesOperator(entry)
+    );
+    const flagged = audited.filter((entry) => entry.flags.length > 0);
+
+    logger.info(
+      `\n📊 ${audited.length} validation(s) audited, ${flagged.length} flagged`
+    );
+    if (this.options.out) {
+      logger.info(`💾 Report written to ${path.resolve(this.options.out)}`);
+    }
+
+    return { audited: audited.length, flagged: flagged.length };
+  }
+
+  _printEntry(entry) {
+    if (entry.error) {
+      logger.error(`❌ Task #${entry.taskId}: ${entry.error}`);
+      return;
+    }
+
+    if (entry.status !== TASK_STATUS.VALIDATED) {
+      logger.info(
+        `⏭️  Task #${entry.taskId}: not validated (status ${entry.status})`
+      );
+      return;
+    }
+
+    const result =
+      entry.result.isValid === null
+        ? "unknown"
+        : entry.result.isValid
+        ? "VALID"
+        : "INVALID";
+    const summary =
+      `Task #${entry.taskId}: ${result} via ${entry.kind} proof ` +
+      `(result from ${entry.result.source}) by ${entry.assignedOperator}`;
+
+    if (entry.flags.length === 0) {
+      logger.info(`✅ ${summary}`);
+    } else {
+      logger.warn(`🚩 ${summary}`);
+      logger.warn(`   Flags: ${entry.flags.join(", ")}`);
+    }
+
+    if (entry.evidence) {
+      logger.info(`   Evidence: ${JSON.stringify(entry.evidence)}`);
+    }
+  }
+
+  /**
+   * Append one JSON line per audited validation, without the raw proofs
+   */
+  _writeEntry(entry) {
+    if (!this.options.out || entry.status !== TASK_STATUS.VALIDATED) return;
+
+    const filePath = path.resolve(this.options.out);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const { data, ...summary } = entry;
+    const verified = data && data.verified;
+    fs.appendFileSync(
+      filePath,
+      JSON.stringify({
+        ...summary,
+        rejectionReasons: verified ? verified.rejectionReasons : undefined,
+        auditedAt: Date.now(),
+      }) + "\n"
+    );
+  }
+
+  _matchesOperator(entry) {
+    return (
+      !this.options.operator ||
+      (!!entry.assignedOperator &&
+        entry.assignedOperator.toLowerCase() ===
+          this.options.operator.toLowerCase())
+    );
+  }
+
+  _parseArgs(argv) {
+    const flags = {
+      "--task": "task",
+      "--from": "from",
+      "--to": "to",
+      "--operator": "operator",
+      "--out": "out",
+    };
+
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+      const name = flags[argv[i]];
+      if (!name || argv[i + 1] === undefined) {
+        this._fail(`Unknown or incomplete option: ${argv[i]}`);
+      }
+      options[name] = argv[++i];
+    }
+
+    if (options.task) {
+      return options;
+    }
+
+    options.from = parseInt(options.from);
+    options.to = parseInt(options.to);
+    if (isNaN(options.from) || isNaN(options.to) || options.from > options.to) {
+      this._fail("--task <id>, or --from <id> --to <id> with from <= to");
+    }
+    if (options.operator && !ethers.utils.isAddress(options.operator)) {
+      this._fail(`--operator ${options.operator} is not an address`);
+    }
+
+    return options;
+  }
+
+  _fail(message) {
+    logger.error(`❌ ${message}`);
+    logger.info(USAGE);
+    process.exit(1);
+  }
+}
+
+module.exports = { AuditController };
@@ -5,31 +5,53 @@
  * Automated validator for zkPull protocol using AVS
  */
 
+const { logger } = require("../shared/logger");
+
+// Invalid settings throw while the configuration loads, before main runs
+if (require.main === module) {
+  try {
+    require("../shared/config");
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
 const { ZKTLSOperatorBot } = require("./operator.controller");
 
 async function main() {
-  const bot = new ZKTLSOperatorBot();
+  const bot = await ZKTLSOperatorBot.create();
 
-  process.on("SIGINT", async () => {
-    console.log("\n\n🛑 Received SIGINT, shutting down...");
-    await bot.stop();
-    process.exit(0);
-  });
+  const shutdown = async (signal) => {
+    if (bot.stopping) {
+      logger.warn(`\n⚠️  Received ${signal} again, forcing exit`);
+      process.exit(1);
+    }
 
-  process.on("SIGTERM", async () => {
-    console.log("\n\n🛑 Received SIGTERM, shutting down...");
+    logger.info(`\n\n🛑 Received ${signal}, shutting down...`);
     await bot.stop();
     process.exit(0);
-  });
+  };
+
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
 
   await bot.start();
 }
 
 if (require.main === module) {
-  main().catch((error) => {
-    console.error("❌ Fatal error:", error);
-    process.exit(1);
-  });
+  main().catch(exitWithError);
+}
+
+/**
+ * Log a fatal error and exit; a ConfigError already lists every problem
+ */
+function exitWithError(error) {
+  logger.error(
+    error.name === "ConfigError"
+      ? `❌ ${error.message}`
+      : `❌ Fatal error: ${error.stack || error.message}`
+  );
+  process.exit(1);
 }
 
 module.exports = { ZKTLSOperatorBot };
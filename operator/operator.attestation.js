@@ -0,0 +1,131 @@
+/**
+ * Local verification of zkTLS attestor signatures
+ * Recomputes the claim identifier and recovers witness signers with ethers
+ */
+
+const { ethers } = require("ethers");
+const { ProofSignatureError } = require("./operator.errors");
+
+class AttestorVerifier {
+  constructor(attestorAddresses, minSignatures = 1) {
+    this.attestors = new Set(
+      attestorAddresses.map((address) => address.toLowerCase())
+    );
+    this.minSignatures = minSignatures;
+  }
+
+  /**
+   * Verify a parsed ZKTLSProof is signed by enough allow-listed attestors
+   */
+  verify(proof) {
+    if (this.attestors.size === 0) {
+      this._fail(proof, "no trusted attestors configured (ZKTLS_ATTESTORS)");
+    }
+
+    const identifier = this._computeIdentifier(proof);
+
+    if (proof.signatures.length === 0) {
+      this._fail(proof, "proof is unsigned");
+    }
+
+    const message = this._createSignData(proof, identifier);
+    const signers = new Set();
+
+    for (const signature of proof.signatures) {
+      let signer;
+      try {
+        signer = ethers.utils.verifyMessage(message, signature).toLowerCase();
+      } catch (error) {
+        this._fail(proof, `malformed signature (${error.message})`);
+      }
+
+      if (!this.attestors.has(signer)) {
+        this._fail(proof, `signed by unknown attestor ${signer}`);
+      }
+      signers.add(signer);
+    }
+
+    if (signers.size < this.minSignatures) {
+      this._fail(
+        proof,
+        `${signers.size} attestor signature(s), ${this.minSignatures} required`
+      );
+    }
+
+    return { identifier, signers: [...signers] };
+  }
+
+  /**
+   * identifier = keccak256(provider \n parameters \n context)
+   * The context is tried verbatim first, then in canonical (sorted-key) form
+   */
+  _computeIdentifier(proof) {
+    const { provider, parameters, context } = proof.claimData;
+    const claimed = (proof.identifier || "").toLowerCase();
+
+    const candidates = [
+      this._hashClaimInfo(provider, parameters, context),
+      this._hashClaimInfo(
+        provider,
+        parameters,
+        this._canonicalize(proof.context)
+      ),
+    ];
+
+    const identifier = candidates.find((candidate) => candidate === claimed);
+    if (!identifier) {
+      this._fail(
+        proof,
+        `claim identifier mismatch (claimed ${claimed || "(none)"}, computed ${
+          candidates[0]
+        })`
+      );
+    }
+
+    return identifier;
+  }
+
+  _hashClaimInfo(provider, parameters, context) {
+    const toText = (value) => {
+      if (value === undefined || value === null) return "";
+      return typeof value === "string" ? value : this._canonicalize(value);
+    };
+    const claimInfo = [provider, parameters, context].map(toText).join("\n");
+    return ethers.utils
+      .keccak256(ethers.utils.toUtf8Bytes(claimInfo))
+      .toLowerCase();
+  }
+
+  /**
+   * Message signed by attestors: identifier, owner, timestampS, epoch
+   */
+  _createSignData(proof, identifier) {
+    return [
+      identifier,
+      (proof.owner || "").toLowerCase(),
+      String(proof.timestampS),
+      String(proof.epoch),
+    ].join("\n");
+  }
+
+  _canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map((item) => this._canonicalize(item)).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+      const entries = Object.keys(value)
+        .sort()
+        .map(
+          (key) => `${JSON.stringify(key)}:${this._canonicalize(value[key])}`
+        );
+      return `{${entries.join(",")}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  _fail(proof, message) {
+    throw new ProofSignatureError(`${proof.label}: ${message}`);
+  }
+}
+
+module.exports = { AttestorVerifier };
@@ -0,0 +1,169 @@
+/**
+ * Audit of validations already submitted on-chain
+ * Decodes a task's zkProof, re-checks the embedded evidence and flags
+ * results the evidence does not support
+ */
+
+const { ethers } = require("ethers");
+const { TASK_STATUS } = require("./operator.constants");
+const { decodeZKProof, ZKPROOF_KINDS } = require("./operator.zkproof");
+
+// Reasons an audited validation is not supported by its evidence
+const AUDIT_FLAGS = {
+  EVIDENCE_CONTRADICTS_RESULT: "evidence_contradicts_result",
+  VERDICT_MISMATCH: "verdict_mismatch",
+  MALFORMED_EVIDENCE: "malformed_evidence",
+  UNTRUSTED_EVIDENCE: "untrusted_evidence",
+  ERROR_PROOF_MARKED_VALID: "error_proof_marked_valid",
+  FALLBACK_MARKED_VALID: "fallback_marked_valid",
+  NO_EVIDENCE: "no_evidence",
+};
+
+class ZKProofAuditor {
+  constructor(repository, validator) {
+    this.repository = repository;
+    this.validator = validator;
+  }
+
+  /**
+   * Audit one task; tasks not yet validated are returned unflagged
+   */
+  async audit(taskId) {
+    const task = await this.repository.getTask(taskId);
+
+    const entry = {
+      taskId: taskId.toString(),
+      status: task.status,
+      assignedOperator: task.assignedOperator,
+      prLink: task.prLink,
+      kind: null,
+      data: null,
+      result: null,
+      verdict: null,
+      evidence: null,
+      flags: [],
+    };
+
+    if (task.status !== TASK_STATUS.VALIDATED) {
+      return entry;
+    }
+
+    const decoded = decodeZKProof(task.zkProof);
+    entry.kind = decoded.kind;
+    entry.verdict = decoded.impliedValid;
+    entry.result = await this._readResult(task, decoded);
+    entry.data = decoded.data;
+
+    if (decoded.kind === ZKPROOF_KINDS.ZKTLS) {
+      this._auditZKTLS(entry, task, decoded.data);
+    } else if (entry.result.isValid === true) {
+      entry.flags.push(this._unsupportedValidFlag(decoded.kind));
+    }
+
+    return entry;
+  }
+
+  /**
+   * Audit taskIds from..to (inclusive)
+   */
+  async auditRange(fromTaskId, toTaskId, onEntry = () => {}) {
+    const entries = [];
+    for (let taskId = fromTaskId; taskId <= toTaskId; taskId++) {
+      let entry;
+      try {
+        entry = await this.audit(taskId);
+      } catch (error) {
+        entry = { taskId: taskId.toString(), error: error.message, flags: [] };
+      }
+      entries.push(entry);
+      onEntry(entry);
+    }
+    return entries;
+  }
+
+  /**
+   * The submitted isValid as recorded by the IssuesClaim contract
+   * (isMerged once isValidated); falls back to the zkProof's own verdict
+   */
+  async _readResult(task, decoded) {
+    try {
+      const claim = await this.repository.getClaim(
+        ethers.BigNumber.from(task.issueId),
+        ethers.BigNumber.from(task.claimIndex)
+      );
+      // [1]=isMerged, [3]=isValidated
+      if (claim[3]) {
+        return { isValid: claim[1], source: "claim" };
+      }
+    } catch (error) {
+      // Unreadable claim, use the verdict embedded in the proof
+    }
+    return { isValid: decoded.impliedValid, source: "zkProof" };
+  }
+
+  _auditZKTLS(entry, task, data) {
+    const verified = data.verified;
+    const declaredReasons = Array.isArray(verified.rejectionReasons)
+      ? verified.rejectionReasons
+      : [];
+
+    let evidence;
+    try {
+      evidence = this.validator.recheckProofs(
+        data.prProof,
+        data.userProof,
+        task.prLink
+      );
+    } catch (error) {
+      // Our own zkTLS proofs always parse; garbage evidence is suspect
+      // whichever way it was used
+      entry.evidence = { error: error.message };
+      entry.flags.push(AUDIT_FLAGS.MALFORMED_EVIDENCE);
+      return;
+    }
+
+    entry.evidence = {
+      provider: evidence.provider,
+      isMerged: evidence.isMerged,
+      isValidUser: evidence.isValidUser,
+      isValidId: evidence.isValidId,
+      isUrlMatch: evidence.isUrlMatch,
+      isUserEndpoint: evidence.isUserEndpoint,
+      isValid: evidence.isValid,
+      attestation: evidence.attestation,
+    };
+
+    if (evidence.attestation && !evidence.attestation.trusted) {
+      entry.flags.push(AUDIT_FLAGS.UNTRUSTED_EVIDENCE);
+    }
+
+    // The verified block must describe what the proofs actually show
+    const claimed = ["isMerged", "isValidUser", "isValidId"];
+    if (claimed.some((field) => verified[field] !== evidence[field])) {
+      entry.flags.push(AUDIT_FLAGS.VERDICT_MISMATCH);
+    }
+
+    // A rejection may rest on declared reasons beyond the proofs
+    // (policy, freshness, duplicates); an acceptance must not
+    const supported =
+      entry.result.isValid === true
+        ? evidence.isValid && declaredReasons.length === 0
+        : !evidence.isValid || declaredReasons.length > 0;
+    if (entry.result.isValid !== null && !supported) {
+      entry.flags.push(AUDIT_FLAGS.EVIDENCE_CONTRADICTS_RESULT);
+    }
+  }
+
+  _unsupportedValidFlag(kind) {
+    switch (kind) {
+      case ZKPROOF_KINDS.ERROR:
+        return AUDIT_FLAGS.ERROR_PROOF_MARKED_VALID;
+      case ZKPROOF_KINDS.FALLBACK:
+        return AUDIT_FLAGS.FALLBACK_MARKED_VALID;
+      default:
+        return AUDIT_FLAGS.NO_EVIDENCE;
+    }
+  }
+}
+
+module.exports = { ZKProofAuditor, AUDIT_FLAGS };
@@ -0,0 +1,78 @@
+/**
+ * Read-through cache shared by the bot's operator identities
+ * Concurrent loads of one key share a single call, and results are kept for
+ * ttl ms so identities reading the same data moments apart reuse it;
+ * failures are never kept
+ */
+
+class SharedCache {
+  constructor(name, ttl, metrics = null) {
+    this.name = name;
+    this.ttl = ttl;
+    this.metrics = metrics;
+    // key -> { value: Promise, expiresAt } (expiresAt null while loading)
+    this.entries = new Map();
+  }
+
+  async get(key, load) {
+    const cached = this.entries.get(key);
+    if (
+      cached &&
+      (cached.expiresAt === null || cached.expiresAt > Date.now())
+    ) {
+      this._count("hit");
+      return await cached.value;
+    }
+
+    this._count("miss");
+    this._prune();
+
+    const entry = { value: Promise.resolve().then(load), expiresAt: null };
+    this.entries.set(key, entry);
+
+    try {
+      const value = await entry.value;
+      entry.expiresAt = Date.now() + this.ttl;
+      if (!(this.ttl > 0)) {
+        this._remove(key, entry);
+      }
+      return value;
+    } catch (error) {
+      this._remove(key, entry);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop a kept result, e.g. one that turned out to be unusable
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt !== null) {
+      this.entries.delete(key);
+    }
+  }
+
+  _remove(key, entry) {
+    if (this.entries.get(key) === entry) {
+      this.entries.delete(key);
+    }
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  _count(result) {
+    if (this.metrics) {
+      this.metrics.sharedReads.inc({ cache: this.name, result });
+    }
+  }
+}
+
+module.exports = { SharedCache };
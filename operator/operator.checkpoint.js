@@ -0,0 +1,47 @@
+/**
+ * Persisted block checkpoint
+ * Remembers the last block whose events have been processed
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class BlockCheckpoint {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.lastBlock = null;
+  }
+
+  /**
+   * Load last processed block from disk, null when starting fresh
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.lastBlock = Number.isInteger(data.lastBlock) ? data.lastBlock : null;
+    }
+
+    return this.lastBlock;
+  }
+
+  /**
+   * Persist a new checkpoint, written atomically via rename
+   */
+  save(blockNumber) {
+    if (this.lastBlock !== null && blockNumber <= this.lastBlock) {
+      return;
+    }
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      JSON.stringify({ lastBlock: blockNumber, updatedAt: Date.now() })
+    );
+    fs.renameSync(tmpPath, this.filePath);
+    this.lastBlock = blockNumber;
+  }
+}
+
+module.exports = { BlockCheckpoint };
@@ -2,17 +2,8 @@
  * Configuration and constants for zkTLS Operator
  */
 
-require("dotenv").config();
-
-const CONFIG = {
-  rpcUrl: process.env.MANTLE_SEPOLIA_RPC_URL,
-  privateKey: process.env.OPERATOR_PRIVATE_KEY,
-  avsAddress: process.env.AVS_CONTRACT_ADDRESS,
-  endpoint: process.env.OPERATOR_ENDPOINT || "http://localhost:3000",
-  pollInterval: parseInt(process.env.POLL_INTERVAL) || 30000,
-  zkTLSApiUrl:
-    process.env.ZKTLS_API_URL || "https://zkpull-services.up.railway.app",
-};
+// Validated settings from the environment, CONFIG_FILE and network profile
+const { CONFIG } = require("../shared/config");
 
 const AVS_ABI = [
   "function pickTask(uint256 taskId) external",
@@ -20,6 +11,7 @@ const AVS_ABI = [
   "function getTask(uint256 taskId) external view returns (tuple(uint256 taskId, uint256 issueId, uint256 claimIndex, string prLink, address developer, uint256 createdAt, uint8 status, address assignedOperator, bytes zkProof))",
   "function getOperatorTasks(address operator) external view returns (uint256[])",
   "function registerOperator(string endpoint) external payable",
+  "function getOperator(address operator) external view returns (tuple(address operatorAddress, string endpoint, uint256 stake, bool isActive, uint256 tasksCompleted, uint256 tasksRejected, uint256 registeredAt))",
   "function issuesClaimContract() external view returns (address)",
   "event TaskCreated(uint256 indexed taskId, uint256 issueId, uint256 claimIndex)",
   "event TaskAssigned(uint256 indexed taskId, address indexed operator)",
@@ -27,22 +19,114 @@ const AVS_ABI = [
 
 const ISSUES_CLAIM_ABI = [
   "function claims(uint256,uint256) view returns (string, bool, address, bool, uint256, string)",
+  "function getIssueRepository(uint256 issueId) view returns (string)",
+  "function getIssueCreatedAt(uint256 issueId) view returns (uint256)",
 ];
 
+// Allowed clock skew (seconds) for proofs timestamped slightly in the future
+const PROOF_CLOCK_SKEW = 60;
+
 const TASK_STATUS = {
   PENDING: 0,
   ASSIGNED: 1,
   VALIDATED: 2,
 };
 
+const JOURNAL_STATES = {
+  SEEN: "seen",
+  PICKED: "picked",
+  VERIFYING: "verifying",
+  SUBMITTED: "submitted",
+  FAILED: "failed",
+  VALIDATED: "validated",
+  // Shadow mode: result decided but not submitted, then compared on-chain
+  SHADOWED: "shadowed",
+  COMPARED: "compared",
+  // Watchdog: another operator's validation re-verified
+  REVIEWED: "reviewed",
+};
+
+const DUPLICATE_PR_POLICIES = {
+  REJECT: "reject",
+  ALERT: "alert",
+};
+
+// Shadow result compared with the assigned operator's submission
+const SHADOW_OUTCOMES = {
+  AGREE: "agree",
+  DISAGREE: "disagree",
+  UNDECODABLE: "undecodable",
+};
+
+// off: disabled, report: log and write evidence, dispute: also open disputes
+const WATCHDOG_MODES = {
+  OFF: "off",
+  REPORT: "report",
+  DISPUTE: "dispute",
+};
+
+// Watchdog re-verification compared with another operator's result
+const WATCHDOG_OUTCOMES = {
+  AGREE: "agree",
+  DISAGREE: "disagree",
+  INCONCLUSIVE: "inconclusive",
+};
+
+// standard: network priority fee, fast: multiplied to win pickTask races
+const FEE_STRATEGIES = {
+  STANDARD: "standard",
+  FAST: "fast",
+};
+
+// Nodes reject same-nonce replacements that bump fees by less than this
+const MIN_FEE_BUMP_PERCENT = 10;
+
+// Consecutive RPC errors tolerated while polling for a receipt (TX_POLL apart)
+const MAX_RECEIPT_POLL_ERRORS = 30;
+
+const FAILURE_CLASSES = {
+  TRANSIENT: "transient",
+  PERMANENT: "permanent",
+};
+
+// Network-level errors worth retrying (timeouts, resets, DNS blips)
+const TRANSIENT_ERROR_CODES = [
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "EPIPE",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "ERR_NETWORK",
+];
+
+// HTTP statuses from the zkTLS API worth retrying besides 5xx
+const TRANSIENT_HTTP_STATUSES = [408, 425, 429];
+
+// zkTLS API answers that reject the claim itself; other 4xx are retried
+const PERMANENT_HTTP_STATUSES = [400, 422];
+
+// zkTLS API answers pointing at the operator's own setup (credentials,
+// ZKTLS_API_URL): retried and alerted on, never held against the claim
+const SETUP_HTTP_STATUSES = [401, 403, 404];
+
 const TIMEOUTS = {
   TASK_DETAILS: 10000,
   ZKTLS_API: 120000,
   AUTO_ASSIGNMENT_WAIT: 3000,
+  HEALTH_RPC: 5000,
+  TX_POLL: 2000,
+  // Upper bound on block time, for health budgets (Mantle ~2s)
+  BLOCK_TIME: 12000,
 };
 
-const GAS_LIMITS = {
-  PICK_TASK: 500000,
+const METRICS = {
+  PREFIX: "zkpull_operator_",
+  ZKTLS_BUCKETS: [1, 2.5, 5, 10, 20, 30, 60, 90, 120],
+  SUBMIT_BUCKETS: [1, 2, 5, 10, 20, 30, 60, 120],
 };
 
 const ERROR_CODES = {
@@ -53,8 +137,22 @@ module.exports = {
   CONFIG,
   AVS_ABI,
   ISSUES_CLAIM_ABI,
+  PROOF_CLOCK_SKEW,
   TASK_STATUS,
+  JOURNAL_STATES,
+  DUPLICATE_PR_POLICIES,
+  SHADOW_OUTCOMES,
+  WATCHDOG_MODES,
+  WATCHDOG_OUTCOMES,
+  FAILURE_CLASSES,
+  TRANSIENT_ERROR_CODES,
+  TRANSIENT_HTTP_STATUSES,
+  PERMANENT_HTTP_STATUSES,
+  SETUP_HTTP_STATUSES,
   TIMEOUTS,
-  GAS_LIMITS,
+  METRICS,
+  FEE_STRATEGIES,
+  MIN_FEE_BUMP_PERCENT,
+  MAX_RECEIPT_POLL_ERRORS,
   ERROR_CODES,
 };
@@ -1,34 +1,113 @@
 /**
  * Controller layer for operator bot
- * Orchestrates event listeners and polling mechanisms
+ * Orchestrates event listeners and polling mechanisms for every operator
+ * identity the bot hosts
  */
 
-const { ethers } = require("ethers");
-const { OperatorRepository } = require("./operator.repository");
-const { OperatorService } = require("./operator.service");
 const { ZKTLSValidator } = require("./operator.validator");
-const { CONFIG } = require("./operator.constants");
+const { BlockCheckpoint } = require("./operator.checkpoint");
+const { OperatorIdentity, loadIdentities } = require("./operator.identity");
+const { SharedCache } = require("./operator.cache");
+const { OperatorServer } = require("./operator.server");
+const { OperatorMetrics } = require("./operator.metrics");
+const { ShadowReport } = require("./operator.shadow");
+const { ZKProofAuditor } = require("./operator.audit");
+const { Watchdog } = require("./operator.watchdog");
+const {
+  CONFIG,
+  TASK_STATUS,
+  JOURNAL_STATES,
+  WATCHDOG_MODES,
+} = require("./operator.constants");
+const {
+  createProvider,
+  verifyChainId,
+  WebSocketEvents,
+} = require("../shared/provider");
+const { requireSettings } = require("../shared/config");
+const { logger } = require("../shared/logger");
 
 class ZKTLSOperatorBot {
-  constructor() {
-    this.provider = new ethers.providers.JsonRpcProvider(CONFIG.rpcUrl);
-    this.wallet = new ethers.Wallet(CONFIG.privateKey, this.provider);
-
-    this.repository = new OperatorRepository(this.provider, this.wallet);
-    this.validator = new ZKTLSValidator();
-    this.service = new OperatorService(
-      this.repository,
-      this.validator,
-      this.wallet.address
+  /**
+   * Unlock every identity's signer, then build the bot around them
+   * Shadow mode only needs the address: it gets a VoidSigner that cannot
+   * sign, so a pick or submit could never reach the chain
+   */
+  static async create() {
+    requireSettings("rpcUrls", "avsAddress");
+    // Without trusted attestors every proof would be rejected as untrusted
+    if (!CONFIG.shadowMode) {
+      requireSettings("attestorAddresses");
+    }
+    return new ZKTLSOperatorBot(await loadIdentities());
+  }
+
+  constructor(identities) {
+    this.provider = createProvider({
+      urls: CONFIG.rpcUrls,
+      quorum: CONFIG.rpcQuorum,
+      stallTimeout: CONFIG.rpcStallTimeout,
+    });
+    // Missed events are backfilled on the next poll, so wake it up
+    this.events = CONFIG.wsRpcUrl
+      ? new WebSocketEvents(CONFIG.wsRpcUrl, {
+          onReconnect: () => this._wakeUp(),
+        })
+      : null;
+    logger.addSecret(process.env.ZKTLS_ACCESS_TOKEN);
+
+    this.metrics = new OperatorMetrics();
+    this.validator = new ZKTLSValidator(this.metrics);
+    this.checkpoint = new BlockCheckpoint(CONFIG.checkpointPath);
+    this.shadowReport = CONFIG.shadowMode
+      ? new ShadowReport(CONFIG.shadowReportPath)
+      : null;
+
+    const shared = {
+      provider: this.provider,
+      events: this.events,
+      metrics: this.metrics,
+      validator: this.validator,
+      taskCache: new SharedCache("task", CONFIG.taskCacheTtl, this.metrics),
+      prReservations: new Map(),
+      shadowReport: this.shadowReport,
+    };
+    this.identities = identities.map(
+      (identity) => new OperatorIdentity(identity, shared)
     );
+    // Subscriptions, backfill queries and the watchdog use the first one
+    this.primary = this.identities[0];
+    this.repository = this.primary.repository;
+
+    // Shadow instances compare every task already and cannot dispute
+    this.watchdog =
+      CONFIG.watchdogMode !== WATCHDOG_MODES.OFF && !CONFIG.shadowMode
+        ? new Watchdog(
+            this.repository,
+            this.validator,
+            new ZKProofAuditor(this.repository, this.validator),
+            this.primary.journal,
+            this.metrics,
+            this.identities.map((identity) => identity.address)
+          )
+        : null;
+    this.server = new OperatorServer(this);
 
     this.isRunning = false;
+    // Heartbeat: set as each polling loop stage starts
+    this.lastPollAt = null;
+    this.pollStage = null;
+    this.stopping = null;
+    this.pendingSleep = null;
+    this.watchdogTimer = null;
+    // taskId -> running _considerTask, shared by events and backfill
+    this.consideringTasks = new Map();
   }
 
   async start() {
     // Display ASCII art banner
-    console.log("\n");
-    console.log(`   ░███    ░██    ░██   ░██████      ░██████████                      ░██       
+    logger.banner("\n");
+    logger.banner(`   ░███    ░██    ░██   ░██████      ░██████████                      ░██       
   ░██░██   ░██    ░██  ░██   ░██         ░██                          ░██       
  ░██  ░██  ░██    ░██ ░██                ░██     ░██████    ░███████  ░██    ░██
 ░█████████ ░██    ░██  ░████████         ░██          ░██  ░██        ░██   ░██ 
@@ -39,46 +118,279 @@ class ZKTLSOperatorBot {
                                                                                 
                                                                                 `);
 
-    console.log("\n");
-    console.log("🚀 Starting zkTLS Operator Bot...");
-    console.log(`📍 Operator Address: ${this.wallet.address}`);
-    console.log(`📍 AVS Contract: ${CONFIG.avsAddress}`);
-    console.log(`📍 Endpoint: ${CONFIG.endpoint}`);
+    logger.banner("\n");
+    logger.info("🚀 Starting zkTLS Operator Bot...");
+    if (this.identities.length === 1) {
+      logger.info(`📍 Operator Address: ${this.primary.address}`);
+    } else {
+      logger.info(`📍 Operators: ${this.identities.length} identities`);
+      for (const identity of this.identities) {
+        logger.info(`   ${identity.label}`);
+      }
+    }
+    logger.info(
+      `📍 Network: ${CONFIG.network.name} (chain ${CONFIG.network.chainId})`
+    );
+    logger.info(`📍 AVS Contract: ${CONFIG.avsAddress}`);
+    logger.info(`📍 Endpoint: ${CONFIG.endpoint}`);
+    logger.info(
+      `📍 RPC: ${CONFIG.rpcUrls.length} endpoint(s), quorum ${CONFIG.rpcQuorum}`
+    );
+    logger.info(
+      `📍 Events: ${
+        this.events ? `WebSocket (${this.events.host})` : "HTTP polling"
+      }`
+    );
+    logger.info(
+      `📍 Task concurrency: ${CONFIG.taskConcurrency}${
+        this.identities.length > 1 ? " per identity" : ""
+      }`
+    );
+    logger.info(
+      `📍 Trusted attestors: ${CONFIG.attestorAddresses.join(", ") || "(none)"}`
+    );
+
+    logger.info(
+      `📍 Validation policy: ${
+        this.validator.policy.source
+          ? `${this.validator.policy.source} (${this.validator.policy.rules.length} rules)`
+          : "(none)"
+      }`
+    );
 
-    await this._verifyRegistration();
+    if (CONFIG.shadowMode) {
+      logger.warn(
+        "👥 SHADOW MODE: verifying every task, nothing is picked or submitted"
+      );
+      logger.info(`📍 Shadow report: ${CONFIG.shadowReportPath}`);
+    }
+
+    if (this.watchdog) {
+      logger.info(
+        `📍 Watchdog: ${this.watchdog.mode}${
+          this.watchdog.mode === WATCHDOG_MODES.DISPUTE
+            ? ` via ${CONFIG.disputeMethod} on ${CONFIG.disputeContract}`
+            : ""
+        }`
+      );
+    }
+
+    if (CONFIG.attestorAddresses.length === 0) {
+      logger.warn(
+        "⚠️  ZKTLS_ATTESTORS is empty, every proof will be rejected as untrusted"
+      );
+    }
+
+    await verifyChainId(this.provider, CONFIG.network);
+    if (!CONFIG.shadowMode) {
+      await this._verifyRegistration();
+    }
+    const inFlight = this._loadJournal();
+    this.checkpoint.load();
 
     this.isRunning = true;
 
+    await this.server.start();
     this._startEventListeners();
-    this._startTaskPolling();
+    this._startWatchdog();
+    this._resumeInFlightTasks(inFlight);
 
-    console.log("✅ Bot started successfully!");
+    logger.info("✅ Bot started successfully!");
   }
 
+  /**
+   * Graceful shutdown, safe to call more than once
+   */
   async stop() {
-    console.log("🛑 Stopping bot...");
+    if (!this.stopping) {
+      this.stopping = this._shutdown();
+    }
+    return await this.stopping;
+  }
+
+  async _shutdown() {
+    logger.info("🛑 Stopping bot...");
+
     this.isRunning = false;
+    for (const identity of this.identities) {
+      identity.service.stopAccepting();
+    }
+    this._wakeUp();
+    this._stopWatchdog();
+
+    await this.repository.removeEventListeners();
+    logger.info("   Event listeners detached");
+
+    logger.info(
+      `   Waiting up to ${
+        CONFIG.shutdownTimeout / 1000
+      }s for in-flight tasks...`
+    );
+    const results = await Promise.all(
+      this.identities.map((identity) =>
+        identity.service.drain(CONFIG.shutdownTimeout)
+      )
+    );
+    const drained = results.every((result) => result.drained);
+    const pending = results.flatMap((result) => result.pending);
+
+    if (drained) {
+      logger.info("   In-flight tasks finished");
+    } else {
+      logger.warn(
+        `⚠️  Shutdown deadline reached with task(s) ${pending
+          .map((taskId) => `#${taskId}`)
+          .join(", ")} still running, they resume from the journal on restart`
+      );
+    }
+
+    await this.server.stop();
+    for (const identity of this.identities) {
+      identity.journal.close();
+    }
+
+    logger.info("✅ Bot stopped");
+    await logger.flush();
   }
 
   /**
-   * Verify operator is registered
+   * Verify every identity is a registered operator
    */
   async _verifyRegistration() {
-    try {
-      const { taskCount } = await this.service.checkRegistration();
-      console.log(`✅ Operator registered with ${taskCount} tasks`);
-    } catch (error) {
-      console.log("⚠️  Operator not registered. Please register first.");
-      console.log("Run: node operator/register.js");
-      process.exit(1);
+    for (const identity of this.identities) {
+      const tag = this._tag(identity);
+      try {
+        const { taskCount } = await identity.service.checkRegistration();
+        identity.isRegistered = true;
+        logger.info(`✅ Operator${tag} registered with ${taskCount} tasks`);
+      } catch (error) {
+        logger.warn(
+          `⚠️  Operator${tag} not registered. Please register first.`
+        );
+        logger.info("Run: npm run register");
+        process.exit(1);
+      }
     }
   }
 
+  /**
+   * Replay every identity's task journal from disk
+   * Returns the in-flight tasks of each identity
+   */
+  _loadJournal() {
+    return this.identities.map((identity) => {
+      const { total, finished, inFlight } = identity.journal.load();
+      logger.info(`📒 Task journal: ${identity.journal.filePath}`);
+      logger.info(
+        `   ${total} known tasks, ${finished} finished, ${inFlight.length} in flight`
+      );
+      logger.info(`   ${identity.prIndex.load()} validated PRs indexed`);
+      return { identity, inFlight };
+    });
+  }
+
+  /**
+   * Catch up on TaskCreated/TaskAssigned events since the last checkpoint
+   * Runs on startup and on every poll so missed events are never lost
+   */
+  async _backfillEvents() {
+    const head = await this.repository.getBlockNumber();
+
+    let lastBlock = this.checkpoint.lastBlock;
+    if (lastBlock === null) {
+      lastBlock = Math.max(head - CONFIG.backfillLookback, 0) - 1;
+      logger.info(`⏪ No checkpoint, backfilling from block ${lastBlock + 1}`);
+    }
+
+    for (
+      let fromBlock = lastBlock + 1;
+      fromBlock <= head && this.isRunning;
+      fromBlock += CONFIG.backfillBlockRange
+    ) {
+      const toBlock = Math.min(fromBlock + CONFIG.backfillBlockRange - 1, head);
+      const missed = await this._findMissedTasks(fromBlock, toBlock);
+
+      const considered = await Promise.all(
+        missed.map((taskId) => {
+          logger.info(
+            `\n⏪ Backfilled task #${taskId} (block range ${fromBlock}-${toBlock})`
+          );
+          return this._beatWhenDone(this._considerTask(taskId), "backfill");
+        })
+      );
+
+      // Keep the checkpoint before a range with a failed task so the next
+      // poll goes over it again
+      if (considered.includes(false)) {
+        logger.warn(
+          `⚠️  Backfill of blocks ${fromBlock}-${toBlock} incomplete, retrying next poll`
+        );
+        return;
+      }
+      this.checkpoint.save(toBlock);
+      this._heartbeat("backfill");
+    }
+  }
+
+  /**
+   * Query a block range's events once and collect the tasks any identity
+   * has not handled yet; each is then considered once, not per identity
+   */
+  async _findMissedTasks(fromBlock, toBlock) {
+    const [createdEvents, assignedEvents] = await Promise.all([
+      this.repository.queryTaskCreated(fromBlock, toBlock),
+      this.repository.queryTaskAssigned(fromBlock, toBlock),
+    ]);
+
+    const unseen = createdEvents.filter((event) =>
+      this.identities.some(
+        (identity) => identity.journal.getState(event.args.taskId) === null
+      )
+    );
+    this.metrics.tasksSeen.inc(unseen.length);
+
+    const missed = new Set();
+    for (const identity of this.identities) {
+      for (const taskId of identity.service.findMissedTasks(
+        createdEvents,
+        assignedEvents
+      )) {
+        missed.add(taskId);
+      }
+    }
+    return [...missed];
+  }
+
+  /**
+   * Resume tasks interrupted by the last shutdown, then start polling
+   */
+  async _resumeInFlightTasks(inFlight) {
+    this._heartbeat("resume");
+    await Promise.all(
+      inFlight.flatMap(({ identity, inFlight: taskIds }) =>
+        taskIds.map((taskId) => {
+          logger.info(
+            `🔁 Resuming task #${taskId}${this._tag(identity)} from journal`
+          );
+          return this._beatWhenDone(
+            identity.service.processTask(taskId),
+            "resume"
+          );
+        })
+      )
+    );
+
+    await this._startTaskPolling();
+  }
+
   /**
    * Start event listeners for blockchain events
    */
   _startEventListeners() {
-    console.log("👂 Listening for new tasks...");
+    logger.info("👂 Listening for new tasks...");
+    if (this.events) {
+      this.events.connect();
+    }
 
     this.repository.onTaskCreated(
       async (taskId, issueId, claimIndex) =>
@@ -86,7 +398,8 @@ class ZKTLSOperatorBot {
     );
 
     this.repository.onTaskAssigned(
-      async (taskId, operator) => await this._handleTaskAssigned(taskId, operator)
+      async (taskId, operator) =>
+        await this._handleTaskAssigned(taskId, operator)
     );
   }
 
@@ -95,46 +408,185 @@ class ZKTLSOperatorBot {
    */
   async _startTaskPolling() {
     while (this.isRunning) {
-      try {
-        const pendingTasks = await this.service.pollAssignedTasks();
+      this._heartbeat("tasks");
 
-        for (const taskId of pendingTasks) {
-          await this.service.processTask(taskId);
+      if (CONFIG.shadowMode) {
+        const { service } = this.primary;
+        try {
+          await service.compareShadowedTasks();
+          const retryTasks = await service.pollFailedShadows();
+          await Promise.all(
+            retryTasks.map((taskId) =>
+              this._beatWhenDone(service.processTask(taskId), "tasks")
+            )
+          );
+        } catch (error) {
+          logger.error(`❌ Error polling tasks: ${error.message}`);
         }
+      } else {
+        await Promise.all(
+          this.identities.map((identity) => this._pollAssignedTasks(identity))
+        );
+      }
+
+      this._heartbeat("backfill");
+      try {
+        await this._backfillEvents();
       } catch (error) {
-        console.error("❌ Error polling tasks:", error.message);
+        logger.error(`❌ Error backfilling events: ${error.message}`);
       }
 
+      this._heartbeat("sleep");
       await this._sleep(CONFIG.pollInterval);
     }
   }
 
+  /**
+   * Review other operators' validations on a timer of its own, so slow
+   * re-verifications never hold up polling
+   */
+  _startWatchdog() {
+    if (!this.watchdog) return;
+
+    const run = async () => {
+      try {
+        await this.watchdog.review();
+      } catch (error) {
+        logger.error(`❌ Watchdog error: ${error.message}`);
+      }
+
+      if (this.isRunning) {
+        this.watchdogTimer = setTimeout(run, CONFIG.watchdogInterval);
+      }
+    };
+    this.watchdogTimer = setTimeout(run, CONFIG.watchdogInterval);
+  }
+
+  /**
+   * Cancel the next review run; one in progress stops after its current
+   * task and is not waited for
+   */
+  _stopWatchdog() {
+    if (!this.watchdog) return;
+
+    clearTimeout(this.watchdogTimer);
+    this.watchdog.stop();
+  }
+
+  _heartbeat(stage) {
+    this.lastPollAt = Date.now();
+    this.pollStage = stage;
+  }
+
+  /**
+   * Beat again as each task of a stage finishes: a burst larger than the
+   * worker pool keeps the stage busy well past one task's budget
+   */
+  _beatWhenDone(task, stage) {
+    return task.finally(() => this._heartbeat(stage));
+  }
+
+  /**
+   * Process one identity's assigned tasks
+   * The worker pool bounds how many of these run at once
+   */
+  async _pollAssignedTasks(identity) {
+    await logger.withContext({ operator: identity.address }, async () => {
+      try {
+        const pendingTasks = await identity.service.pollAssignedTasks();
+        await Promise.all(
+          pendingTasks.map((taskId) =>
+            this._beatWhenDone(identity.service.processTask(taskId), "tasks")
+          )
+        );
+      } catch (error) {
+        logger.error(
+          `❌ Error polling tasks${this._tag(identity)}: ${error.message}`
+        );
+      }
+    });
+  }
+
   /**
    * Handle TaskCreated event
    */
   async _handleTaskCreated(taskId, issueId, claimIndex) {
-    console.log(`\n📬 New task created: #${taskId}`);
-    console.log(`   Issue: ${issueId}, Claim: ${claimIndex}`);
+    logger.info(`\n📬 New task created: #${taskId}`);
+    logger.info(`   Issue: ${issueId}, Claim: ${claimIndex}`);
+
+    this.metrics.tasksSeen.inc();
+    for (const identity of this.identities) {
+      identity.journal.record(taskId, JOURNAL_STATES.SEEN, {
+        issueId: issueId.toString(),
+        claimIndex: claimIndex.toString(),
+      });
+    }
+
+    await this._considerTask(taskId, { afterAutoAssignment: true });
+  }
+
+  /**
+   * Process a task if one of our identities has it, or try to pick it
+   * while still pending, optionally after the auto-assignment wait
+   * The event and backfill paths share one consideration per task, so a
+   * task is never picked twice at once
+   * Returns false when reading or picking the task failed
+   */
+  async _considerTask(taskId, { afterAutoAssignment = false } = {}) {
+    const key = taskId.toString();
+    if (this.consideringTasks.has(key)) {
+      return await this.consideringTasks.get(key);
+    }
 
-    await this.service.waitForAutoAssignment();
+    const consideration = (async () => {
+      if (afterAutoAssignment) {
+        await this.primary.service.waitForAutoAssignment();
+      }
+      return await this._checkTask(taskId);
+    })();
+    this.consideringTasks.set(key, consideration);
 
+    try {
+      return await consideration;
+    } finally {
+      this.consideringTasks.delete(key);
+    }
+  }
+
+  async _checkTask(taskId) {
     try {
       const task = await this.repository.getTask(taskId);
+      for (const identity of this.identities) {
+        identity.prIndex.ingestTask(taskId, task);
+      }
 
-      if (this.service.isAssignedToMe(task)) {
-        console.log(`✅ Task #${taskId} auto-assigned to me`);
-        await this.service.processTask(taskId);
-      } else if (task.status === 0) {
-        console.log(`🎯 Task #${taskId} still pending, attempting to pick...`);
-        const result = await this.service.pickUpTask(taskId);
+      const owner = this._findIdentity(task.assignedOperator);
+
+      if (CONFIG.shadowMode) {
+        await this.primary.service.processTask(taskId);
+      } else if (owner) {
+        logger.info(
+          `✅ Task #${taskId} auto-assigned to me${this._tag(owner)}`
+        );
+        await owner.service.processTask(taskId);
+      } else if (task.status === TASK_STATUS.PENDING) {
+        // Only one identity picks, the others would only race it
+        const picker = this._leastBusyIdentity();
+        const tag = this._tag(picker);
+        logger.info(
+          `🎯 Task #${taskId} still pending, attempting to pick${tag}...`
+        );
+        const result = await picker.service.pickUpTask(taskId);
         if (result.picked || result.shouldProcess) {
-          await this.service.processTask(taskId);
+          await picker.service.processTask(taskId);
         }
       } else {
-        console.log(`⏭️  Task #${taskId} assigned to another operator`);
+        logger.info(`⏭️  Task #${taskId} assigned to another operator`);
       }
+      return true;
     } catch (error) {
-      console.error(`❌ Error checking task #${taskId}:`, error.message);
+      logger.error(`❌ Error checking task #${taskId}: ${error.message}`);
+      return false;
     }
   }
 
@@ -142,20 +594,60 @@ class ZKTLSOperatorBot {
    * Handle TaskAssigned event
    */
   async _handleTaskAssigned(taskId, operator) {
-    if (operator.toLowerCase() === this.wallet.address.toLowerCase()) {
-      console.log(`\n✅ Task #${taskId} assigned to me via event`);
+    if (CONFIG.shadowMode) {
+      return;
+    }
+
+    const owner = this._findIdentity(operator);
+    if (owner) {
+      logger.info(
+        `\n✅ Task #${taskId} assigned to me${this._tag(owner)} via event`
+      );
 
-      if (!this.service.processingTasks.has(taskId.toString())) {
-        await this.service.processTask(taskId);
+      if (!owner.service.processingTasks.has(taskId.toString())) {
+        await owner.service.processTask(taskId);
       }
     }
   }
 
+  _findIdentity(address) {
+    return this.identities.find((identity) => identity.owns(address)) || null;
+  }
+
   /**
-   * Sleep helper
+   * Identity with the fewest queued or running tasks, the first on a tie
+   */
+  _leastBusyIdentity() {
+    return this.identities.reduce((best, identity) =>
+      identity.service.activeTasks.size < best.service.activeTasks.size
+        ? identity
+        : best
+    );
+  }
+
+  /**
+   * " (name)" in log lines when the bot hosts several identities
+   */
+  _tag(identity) {
+    return this.identities.length > 1 ? ` (${identity.name})` : "";
+  }
+
+  /**
+   * Sleep helper, interruptible by _wakeUp on shutdown
    */
   _sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      this.pendingSleep = { timer, resolve };
+    });
+  }
+
+  _wakeUp() {
+    if (this.pendingSleep) {
+      clearTimeout(this.pendingSleep.timer);
+      this.pendingSleep.resolve();
+      this.pendingSleep = null;
+    }
   }
 }
 
@@ -0,0 +1,98 @@
+/**
+ * Error types for the operator
+ * Carry enough context for the service to decide between retry and rejection
+ */
+
+const { FAILURE_CLASSES } = require("./operator.constants");
+
+/**
+ * Verification failure tagged with its cause and failure class
+ * - transient: retried, never submitted as a rejection
+ * - permanent: deterministic, the claim is rejected with an error proof
+ */
+class VerificationError extends Error {
+  constructor(
+    message,
+    { reason, failureClass, status = null, details = null }
+  ) {
+    super(message);
+    this.name = "VerificationError";
+    this.reason = reason;
+    this.failureClass = failureClass;
+    this.status = status;
+    this.details = details;
+  }
+
+  get isTransient() {
+    return this.failureClass === FAILURE_CLASSES.TRANSIENT;
+  }
+}
+
+/**
+ * zkTLS proof that does not match the expected schema
+ * `field` names the offending path, e.g. prProofData.claimData.context
+ */
+class ProofSchemaError extends Error {
+  constructor(message, field) {
+    super(message);
+    this.name = "ProofSchemaError";
+    this.field = field;
+  }
+}
+
+/**
+ * zkTLS proof whose attestor signatures cannot be trusted
+ */
+class ProofSignatureError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ProofSignatureError";
+  }
+}
+
+/**
+ * Invalid validation policy file, raised at startup
+ */
+class PolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PolicyError";
+  }
+}
+
+/**
+ * Transaction still pending after every allowed fee replacement
+ * `hashes` lists the original and each replacement, all at `nonce`
+ */
+class TransactionStuckError extends Error {
+  constructor(message, { method, nonce, hashes }) {
+    super(message);
+    this.name = "TransactionStuckError";
+    this.method = method;
+    this.nonce = nonce;
+    this.hashes = hashes;
+  }
+}
+
+/**
+ * Receipt no longer polled for (RPC errors or shutdown) while the
+ * transaction may still be mined; `hashes` are all at `nonce`
+ */
+class ReceiptUnavailableError extends Error {
+  constructor(message, { method, nonce, hashes }) {
+    super(message);
+    this.name = "ReceiptUnavailableError";
+    this.method = method;
+    this.nonce = nonce;
+    this.hashes = hashes;
+  }
+}
+
+module.exports = {
+  VerificationError,
+  ProofSchemaError,
+  ProofSignatureError,
+  PolicyError,
+  TransactionStuckError,
+  ReceiptUnavailableError,
+};
@@ -0,0 +1,204 @@
+/**
+ * Operator identities hosted by one bot process
+ * Each identity has its own signer, nonces, journal, PR index and service;
+ * the bot shares event subscriptions, getTask reads, zkTLS fetches and PR
+ * reservations
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { OperatorRepository } = require("./operator.repository");
+const { OperatorService } = require("./operator.service");
+const { TaskJournal } = require("./operator.journal");
+const { PRIndex } = require("./operator.prindex");
+const { CONFIG } = require("./operator.constants");
+const { loadSigner, readSignerAddress } = require("../shared/signer");
+
+const IDENTITY_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Per-identity signer settings, named like CONFIG.signer
+const SIGNER_FIELDS = [
+  "type",
+  "keystorePath",
+  "keystorePasswordFile",
+  "remoteUrl",
+  "remoteAddress",
+  "privateKey",
+];
+const IDENTITY_FIELDS = ["name", "journalPath", ...SIGNER_FIELDS];
+
+class OperatorIdentity {
+  /**
+   * @param {Object} identity - { name, signer, address, journalPath }
+   * @param {Object} shared - { provider, events, metrics, validator,
+   *   taskCache, prReservations, shadowReport }, common to every identity
+   */
+  constructor({ name, signer, address, journalPath }, shared) {
+    this.name = name;
+    this.address = address;
+    this.signer = signer.connect(shared.provider);
+    this.repository = new OperatorRepository(
+      shared.provider,
+      this.signer,
+      shared.metrics,
+      shared.events,
+      shared.taskCache
+    );
+    this.journal = new TaskJournal(journalPath);
+    this.prIndex = new PRIndex(
+      this.repository,
+      this.journal,
+      shared.prReservations
+    );
+    this.service = new OperatorService(
+      this.repository,
+      shared.validator,
+      address,
+      this.journal,
+      shared.metrics,
+      this.prIndex,
+      shared.shadowReport
+    );
+    this.isRegistered = false;
+  }
+
+  get label() {
+    return `${this.name} (${this.address})`;
+  }
+
+  owns(address) {
+    return address.toLowerCase() === this.address.toLowerCase();
+  }
+}
+
+/**
+ * Load every identity's signer, one at a time so password prompts do not
+ * interleave; shadow mode only reads the address into a VoidSigner
+ */
+async function loadIdentities() {
+  const configs = readIdentityConfigs();
+  if (CONFIG.shadowMode && configs.length > 1) {
+    throw new Error(
+      `SHADOW_MODE runs a single identity, OPERATOR_IDENTITIES_FILE lists ${configs.length}`
+    );
+  }
+
+  const identities = [];
+  for (const config of configs) {
+    let loaded;
+    try {
+      loaded = CONFIG.shadowMode
+        ? await loadShadowSigner(config.signer)
+        : await loadSigner(config.signer);
+    } catch (error) {
+      if (!CONFIG.identitiesPath) throw error;
+      throw new Error(`Identity "${config.name}": ${error.message}`);
+    }
+
+    const duplicate = identities.find(
+      (identity) => identity.address === loaded.address
+    );
+    if (duplicate) {
+      throw new Error(
+        `Identities "${duplicate.name}" and "${config.name}" use the same address ${loaded.address}`
+      );
+    }
+
+    identities.push({ ...config, ...loaded });
+  }
+  return identities;
+}
+
+async function loadShadowSigner(options) {
+  const address =
+    (await readSignerAddress(options)) || ethers.constants.AddressZero;
+  return { signer: new ethers.VoidSigner(address), address };
+}
+
+/**
+ * Identities listed in OPERATOR_IDENTITIES_FILE, or the single one set by
+ * the signer environment variables
+ */
+function readIdentityConfigs() {
+  if (!CONFIG.identitiesPath) {
+    return [
+      {
+        name: "default",
+        signer: CONFIG.signer,
+        journalPath: CONFIG.journalPath,
+      },
+    ];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(CONFIG.identitiesPath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Cannot read OPERATOR_IDENTITIES_FILE ${CONFIG.identitiesPath}: ${error.message}`
+    );
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(
+      `OPERATOR_IDENTITIES_FILE ${CONFIG.identitiesPath} must be a non-empty JSON array`
+    );
+  }
+
+  const names = new Set();
+  const journalPaths = new Set();
+
+  return entries.map((entry, index) => {
+    const where = `OPERATOR_IDENTITIES_FILE entry ${index + 1}`;
+    if (!entry || typeof entry !== "object") {
+      throw new Error(`${where} must be an object`);
+    }
+    if (
+      typeof entry.name !== "string" ||
+      !IDENTITY_NAME_PATTERN.test(entry.name)
+    ) {
+      throw new Error(
+        `${where}: "name" is required and may only contain letters, digits, "-" and "_"`
+      );
+    }
+    if (names.has(entry.name)) {
+      throw new Error(`${where}: name "${entry.name}" is used twice`);
+    }
+    names.add(entry.name);
+
+    const unknown = Object.keys(entry).filter(
+      (key) => !IDENTITY_FIELDS.includes(key)
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `${where} (${entry.name}): unknown field(s) ${unknown.join(", ")}`
+      );
+    }
+
+    const journalPath = entry.journalPath || defaultJournalPath(entry.name);
+    if (journalPaths.has(path.resolve(journalPath))) {
+      throw new Error(
+        `${where} (${entry.name}): journal ${journalPath} is already used by another identity`
+      );
+    }
+    journalPaths.add(path.resolve(journalPath));
+
+    const signer = { allowInsecureKey: CONFIG.signer.allowInsecureKey };
+    for (const field of SIGNER_FIELDS) {
+      signer[field] = entry[field] || null;
+    }
+
+    return { name: entry.name, signer, journalPath };
+  });
+}
+
+/**
+ * TASK_JOURNAL_PATH with the identity's name added, e.g.
+ * ./data/task-journal-alice.jsonl
+ */
+function defaultJournalPath(name) {
+  const { dir, name: base, ext } = path.parse(CONFIG.journalPath);
+  return path.join(dir, `${base}-${name}${ext}`);
+}
+
+module.exports = { OperatorIdentity, loadIdentities };
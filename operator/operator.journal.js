@@ -0,0 +1,204 @@
+/**
+ * Persistent task journal
+ * Append-only JSONL record of every task's lifecycle, replayed on startup
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JOURNAL_STATES } = require("./operator.constants");
+const { logger } = require("../shared/logger");
+
+const FINISHED_STATES = [
+  JOURNAL_STATES.SUBMITTED,
+  JOURNAL_STATES.VALIDATED,
+  JOURNAL_STATES.COMPARED,
+  JOURNAL_STATES.REVIEWED,
+];
+const IN_FLIGHT_STATES = [JOURNAL_STATES.PICKED, JOURNAL_STATES.VERIFYING];
+
+class TaskJournal {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.tasks = new Map();
+    this.fd = null;
+  }
+
+  /**
+   * Load journal from disk and rebuild task states
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const exists = fs.existsSync(this.filePath);
+    if (exists) {
+      this._truncateTornLine();
+    }
+    this.fd = fs.openSync(this.filePath, "a");
+
+    if (!exists) {
+      return { total: 0, finished: 0, inFlight: [] };
+    }
+
+    const lines = fs.readFileSync(this.filePath, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        this._apply(JSON.parse(line));
+      } catch (error) {
+        // Torn write from a crash mid-append, ignore the partial line
+        logger.error(`⚠️  Skipping corrupt journal line: ${error.message}`);
+      }
+    }
+
+    const finished = [...this.tasks.keys()].filter((taskId) =>
+      this.isFinished(taskId)
+    );
+
+    return {
+      total: this.tasks.size,
+      finished: finished.length,
+      inFlight: this.getInFlight(),
+    };
+  }
+
+  /**
+   * Cut a partial last line left by a crash mid-append, so the next entry
+   * starts on a line of its own instead of being appended to the fragment
+   */
+  _truncateTornLine() {
+    const content = fs.readFileSync(this.filePath);
+    if (content.length === 0 || content[content.length - 1] === 0x0a) {
+      return;
+    }
+
+    const end = content.lastIndexOf(0x0a) + 1;
+    logger.error(
+      `⚠️  Truncating torn journal line (${content.length - end} bytes)`
+    );
+    fs.truncateSync(this.filePath, end);
+  }
+
+  /**
+   * Append a lifecycle entry for a task
+   */
+  record(taskId, state, details = {}) {
+    const entry = {
+      taskId: taskId.toString(),
+      state,
+      timestamp: Date.now(),
+      ...details,
+    };
+
+    const line = JSON.stringify(entry) + "\n";
+    if (this.fd !== null) {
+      fs.writeSync(this.fd, line);
+    } else {
+      // Journal closed by shutdown while a task was still finishing
+      fs.appendFileSync(this.filePath, line);
+    }
+    this._apply(entry);
+    return entry;
+  }
+
+  /**
+   * Flush pending writes to disk and release the file
+   */
+  close() {
+    if (this.fd === null) return;
+
+    fs.fsyncSync(this.fd);
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  /**
+   * Task has reached a terminal state and needs no further work
+   * A submission broadcast but not yet confirmed is not finished
+   */
+  isFinished(taskId) {
+    const task = this.tasks.get(taskId.toString());
+    return (
+      !!task &&
+      FINISHED_STATES.includes(task.state) &&
+      !this._isUnconfirmed(task)
+    );
+  }
+
+  /**
+   * Tasks that were picked, verifying or awaiting their submission's
+   * receipt when the bot last stopped
+   */
+  getInFlight() {
+    return [...this.tasks.values()]
+      .filter(
+        (task) =>
+          IN_FLIGHT_STATES.includes(task.state) || this._isUnconfirmed(task)
+      )
+      .map((task) => task.taskId);
+  }
+
+  /**
+   * Submission broadcast without a recorded receipt: its result and every
+   * transaction hash sent for it (replacements included), or null
+   */
+  getPendingSubmission(taskId) {
+    const task = this.tasks.get(taskId.toString());
+    if (!task || !this._isUnconfirmed(task)) {
+      return null;
+    }
+
+    const entries = [];
+    for (let i = task.history.length - 1; i >= 0; i--) {
+      const entry = task.history[i];
+      if (entry.state !== JOURNAL_STATES.SUBMITTED || !entry.pending) break;
+      entries.unshift(entry);
+    }
+
+    return {
+      isValid: entries[0].isValid,
+      hashes: entries.map((entry) => entry.txHash),
+    };
+  }
+
+  getTaskIds() {
+    return [...this.tasks.keys()];
+  }
+
+  /**
+   * Tasks whose latest entry is the given state
+   */
+  getTasksInState(state) {
+    return [...this.tasks.values()]
+      .filter((task) => task.state === state)
+      .map((task) => task.taskId);
+  }
+
+  getState(taskId) {
+    const task = this.tasks.get(taskId.toString());
+    return task ? task.state : null;
+  }
+
+  getHistory(taskId) {
+    const task = this.tasks.get(taskId.toString());
+    return task ? task.history : [];
+  }
+
+  _isUnconfirmed(task) {
+    const latest = task.history[task.history.length - 1];
+    return task.state === JOURNAL_STATES.SUBMITTED && !!latest.pending;
+  }
+
+  _apply(entry) {
+    const taskId = entry.taskId;
+    if (!this.tasks.has(taskId)) {
+      this.tasks.set(taskId, { taskId, state: null, history: [] });
+    }
+
+    const task = this.tasks.get(taskId);
+    task.state = entry.state;
+    task.history.push(entry);
+  }
+}
+
+module.exports = { TaskJournal };
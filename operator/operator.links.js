@@ -0,0 +1,63 @@
+/**
+ * PR and repository link normalization
+ * Shared by the validator, PR index and tools comparing PR identities
+ * Host-specific layouts are handled by the providers
+ */
+
+const { resolveProvider } = require("./operator.providers");
+
+/**
+ * Normalize a PR web or API URL to
+ * { provider, host, owner, repo, number }, null if invalid or unsupported
+ */
+function parsePRTarget(url) {
+  const provider = resolveProvider(url);
+  return provider ? provider.parsePRTarget(url) : null;
+}
+
+/**
+ * Normalize "owner/repo" or a repository URL, null if unknown
+ * The shorthand form has no host and matches a PR on any provider
+ */
+function parseRepository(repository) {
+  if (!repository) return null;
+
+  const shorthand = repository.match(/^([^\s:]+)\/([^\/\s:]+)$/);
+  if (shorthand && !resolveProvider(repository)) {
+    return {
+      provider: null,
+      host: null,
+      owner: shorthand[1].toLowerCase(),
+      repo: shorthand[2].replace(/\.git$/i, "").toLowerCase(),
+    };
+  }
+
+  const provider = resolveProvider(repository);
+  return provider ? provider.parseRepository(repository) : null;
+}
+
+/**
+ * Whether two parsed PR targets are the same PR
+ */
+function isSamePR(a, b) {
+  return (
+    !!a &&
+    !!b &&
+    a.host === b.host &&
+    a.owner === b.owner &&
+    a.repo === b.repo &&
+    a.number === b.number
+  );
+}
+
+/**
+ * Stable key for a PR, e.g. "github.com/owner/repo#123"
+ */
+function prKey(url) {
+  const target = parsePRTarget(url);
+  return target
+    ? `${target.host}/${target.owner}/${target.repo}#${target.number}`
+    : null;
+}
+
+module.exports = { parsePRTarget, parseRepository, isSamePR, prKey };
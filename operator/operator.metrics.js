@@ -0,0 +1,139 @@
+/**
+ * Prometheus metrics for the operator
+ * Single registry shared by service, validator and HTTP server
+ */
+
+const client = require("prom-client");
+const { METRICS } = require("./operator.constants");
+
+class OperatorMetrics {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({
+      register: this.registry,
+      prefix: METRICS.PREFIX,
+    });
+
+    this.tasksSeen = this._counter(
+      "tasks_seen_total",
+      "TaskCreated events observed"
+    );
+    this.tasksPicked = this._counter(
+      "tasks_picked_total",
+      "Tasks successfully picked by this operator"
+    );
+    this.tasksLost = this._counter(
+      "tasks_lost_total",
+      "Pick attempts lost to TaskAlreadyAssigned"
+    );
+    this.tasksValidated = this._counter(
+      "tasks_validated_total",
+      "Validations submitted, by outcome",
+      ["result"]
+    );
+    this.verificationErrors = this._counter(
+      "verification_errors_total",
+      "Verification failures, by cause",
+      ["cause"]
+    );
+    this.zkTLSSetupErrors = this._counter(
+      "zktls_setup_errors_total",
+      "zkTLS API answers pointing at operator misconfiguration, by status",
+      ["status"]
+    );
+
+    this.duplicatePRs = this._counter(
+      "duplicate_pr_claims_total",
+      "Claims on a PR already validated elsewhere, by policy applied",
+      ["policy"]
+    );
+    this.verificationRetries = this._counter(
+      "verification_retries_total",
+      "Verification attempts retried after a transient failure"
+    );
+    this.watchdogReviews = this._counter(
+      "watchdog_reviews_total",
+      "Other operators' validations re-verified, by outcome",
+      ["outcome"]
+    );
+    this.disputesOpened = this._counter(
+      "disputes_opened_total",
+      "Disputes opened against other operators' validations"
+    );
+    this.transactionReplacements = this._counter(
+      "transaction_replacements_total",
+      "Stuck transactions replaced at the same nonce, by contract method",
+      ["method"]
+    );
+    this.transactionsStuck = this._counter(
+      "transactions_stuck_total",
+      "Transactions abandoned after every fee replacement, by method",
+      ["method"]
+    );
+    this.sharedReads = this._counter(
+      "shared_reads_total",
+      "getTask reads and zkTLS proof fetches, by cache and hit or miss",
+      ["cache", "result"]
+    );
+    this.shadowComparisons = this._counter(
+      "shadow_comparisons_total",
+      "Shadow results compared with the assigned operator's, by outcome",
+      ["outcome"]
+    );
+
+    this.zkTLSLatency = this._histogram(
+      "zktls_api_duration_seconds",
+      "zkTLS proof API latency",
+      ["status"],
+      METRICS.ZKTLS_BUCKETS
+    );
+    this.submitLatency = this._histogram(
+      "submit_validation_duration_seconds",
+      "submitValidation send-to-confirmation time",
+      [],
+      METRICS.SUBMIT_BUCKETS
+    );
+
+    this.tasksInFlight = new client.Gauge({
+      name: `${METRICS.PREFIX}tasks_in_flight`,
+      help: "Tasks currently being processed, by operator address",
+      labelNames: ["operator"],
+      registers: [this.registry],
+    });
+    this.tasksQueued = new client.Gauge({
+      name: `${METRICS.PREFIX}tasks_queued`,
+      help: "Tasks waiting for a free worker, by operator address",
+      labelNames: ["operator"],
+      registers: [this.registry],
+    });
+  }
+
+  async render() {
+    return await this.registry.metrics();
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  _counter(name, help, labelNames = []) {
+    return new client.Counter({
+      name: `${METRICS.PREFIX}${name}`,
+      help,
+      labelNames,
+      registers: [this.registry],
+    });
+  }
+
+  _histogram(name, help, labelNames, buckets) {
+    return new client.Histogram({
+      name: `${METRICS.PREFIX}${name}`,
+      help,
+      labelNames,
+      buckets,
+      registers: [this.registry],
+    });
+  }
+}
+
+module.exports = { OperatorMetrics };
@@ -0,0 +1,115 @@
+/**
+ * Local nonce manager for the operator's signer
+ * Hands out nonces one send at a time and tracks transactions until mined,
+ * so concurrent picks and submissions never collide
+ */
+
+const { ethers } = require("ethers");
+const { logger } = require("../shared/logger");
+
+class NonceManager {
+  constructor(signer) {
+    this.signer = signer;
+    this.nextNonce = null;
+    this.pending = new Map();
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Run send(nonce) with the next nonce while holding the lock
+   * send must broadcast and return the transaction; a failed send leaves
+   * the nonce unused and the next one is read from the chain again
+   */
+  async send(method, send) {
+    const release = await this._acquire();
+
+    try {
+      let nonce = await this._nextNonce();
+      let tx;
+      try {
+        tx = await send(nonce);
+      } catch (error) {
+        // Another sender used this nonce; resync once and retry
+        if (error.code !== ethers.errors.NONCE_EXPIRED) {
+          throw error;
+        }
+        logger.warn(`   ⚠️  Nonce ${nonce} already used, resyncing`);
+        this.nextNonce = null;
+        nonce = await this._nextNonce();
+        tx = await send(nonce);
+      }
+
+      this.nextNonce = nonce + 1;
+      this.pending.set(nonce, {
+        method,
+        hashes: [tx.hash],
+        sentAt: Date.now(),
+      });
+      return tx;
+    } catch (error) {
+      this.nextNonce = null;
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Record a same-nonce replacement of a tracked transaction
+   */
+  replaced(nonce, hash) {
+    const entry = this.pending.get(nonce);
+    if (entry) {
+      entry.hashes.push(hash);
+    }
+  }
+
+  /**
+   * Stop tracking a nonce once mined
+   */
+  settle(nonce) {
+    this.pending.delete(nonce);
+  }
+
+  /**
+   * Stop tracking a nonce given up on; it may never be mined, so the next
+   * nonce is read from the chain again
+   */
+  async abandon(nonce) {
+    const release = await this._acquire();
+    try {
+      this.pending.delete(nonce);
+      this.nextNonce = null;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Tracked transactions, oldest nonce first
+   */
+  getPending() {
+    return [...this.pending.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([nonce, entry]) => ({ nonce, ...entry }));
+  }
+
+  async _nextNonce() {
+    if (this.nextNonce === null) {
+      this.nextNonce = await this.signer.getTransactionCount("pending");
+    }
+    return this.nextNonce;
+  }
+
+  _acquire() {
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const acquired = this.lock.then(() => release);
+    this.lock = this.lock.then(() => held);
+    return acquired;
+  }
+}
+
+module.exports = { NonceManager };
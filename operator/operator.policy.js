@@ -0,0 +1,198 @@
+/**
+ * Declarative validation policy
+ * Rules loaded from a JSON file and evaluated against parsed proof contexts
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { PolicyError } = require("./operator.errors");
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Supported rule operators and the properties each one requires
+ */
+const RULE_OPERATORS = {
+  equals: ["field", "value"],
+  equalsField: ["field", "otherField"],
+  notEqualsField: ["field", "otherField"],
+  in: ["field", "values"],
+  after: ["field", "otherField"],
+  minAgeDays: ["field", "days"],
+};
+
+class ValidationPolicy {
+  constructor(rules = [], source = null) {
+    this.rules = rules;
+    this.source = source;
+  }
+
+  /**
+   * Load and validate a policy file, empty policy when no path is set
+   */
+  static load(filePath) {
+    if (!filePath) {
+      return new ValidationPolicy();
+    }
+
+    const resolved = path.resolve(filePath);
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(resolved, "utf8"));
+    } catch (error) {
+      throw new PolicyError(
+        `Cannot read policy file ${resolved}: ${error.message}`
+      );
+    }
+
+    if (!document || !Array.isArray(document.rules)) {
+      throw new PolicyError(`${resolved}: "rules" must be an array`);
+    }
+
+    const ids = new Set();
+    document.rules.forEach((rule, index) => {
+      const where = `${resolved}: rules[${index}]`;
+
+      if (!rule || typeof rule.id !== "string" || !rule.id) {
+        throw new PolicyError(`${where}.id must be a non-empty string`);
+      }
+      if (ids.has(rule.id)) {
+        throw new PolicyError(`${where}.id "${rule.id}" is duplicated`);
+      }
+      ids.add(rule.id);
+
+      const required = RULE_OPERATORS[rule.op];
+      if (!required) {
+        throw new PolicyError(
+          `${where}.op "${rule.op}" is not one of ${Object.keys(
+            RULE_OPERATORS
+          ).join(", ")}`
+        );
+      }
+
+      for (const property of required) {
+        if (rule[property] === undefined) {
+          throw new PolicyError(
+            `${where}.${property} is required for ${rule.op}`
+          );
+        }
+      }
+
+      if (rule.op === "in" && !Array.isArray(rule.values)) {
+        throw new PolicyError(`${where}.values must be an array`);
+      }
+      if (rule.op === "minAgeDays" && !(rule.days >= 0)) {
+        throw new PolicyError(`${where}.days must be a non-negative number`);
+      }
+    });
+
+    return new ValidationPolicy(document.rules, resolved);
+  }
+
+  /**
+   * Evaluate every rule, returns [{ id, passed, detail }]
+   * A rule whose field is missing from the context is inconclusive
+   * (passed: null): the proof or contract may simply not expose it
+   * now (ms) is the reference time for age rules
+   */
+  evaluate(context, now = Date.now()) {
+    return this.rules.map((rule) => {
+      try {
+        return { id: rule.id, ...this._evaluateRule(rule, context, now) };
+      } catch (error) {
+        return {
+          id: rule.id,
+          passed: error.isMissingField ? null : false,
+          detail: error.message,
+        };
+      }
+    });
+  }
+
+  _evaluateRule(rule, context, now) {
+    const value = this._resolve(context, rule.field);
+
+    switch (rule.op) {
+      case "equals":
+        return {
+          passed: String(value) === String(rule.value),
+          detail: `${rule.field}=${value}`,
+        };
+      case "equalsField":
+      case "notEqualsField": {
+        const other = this._resolve(context, rule.otherField);
+        const equal =
+          String(value).toLowerCase() === String(other).toLowerCase();
+        return {
+          passed: rule.op === "equalsField" ? equal : !equal,
+          detail: `${rule.field}=${value}, ${rule.otherField}=${other}`,
+        };
+      }
+      case "in": {
+        const allowed = rule.values.map((item) => String(item).toLowerCase());
+        return {
+          passed: allowed.includes(String(value).toLowerCase()),
+          detail: `${rule.field}=${value}`,
+        };
+      }
+      case "after": {
+        const time = this._toSeconds(value, rule.field);
+        const otherTime = this._toSeconds(
+          this._resolve(context, rule.otherField),
+          rule.otherField
+        );
+        return {
+          passed: time > otherTime,
+          detail: `${rule.field}=${time}, ${rule.otherField}=${otherTime}`,
+        };
+      }
+      case "minAgeDays": {
+        const ageDays =
+          (now / 1000 - this._toSeconds(value, rule.field)) /
+          DAY_SECONDS;
+        return {
+          passed: ageDays >= rule.days,
+          detail: `${rule.field} is ${Math.floor(ageDays)} days old`,
+        };
+      }
+    }
+  }
+
+  /**
+   * Read a dotted path such as "pr.base_ref" from the context
+   */
+  _resolve(context, fieldPath) {
+    const value = fieldPath
+      .split(".")
+      .reduce(
+        (current, key) =>
+          current !== null && current !== undefined ? current[key] : undefined,
+        context
+      );
+
+    if (value === undefined || value === null || value === "") {
+      const error = new Error(`missing field ${fieldPath}`);
+      error.isMissingField = true;
+      throw error;
+    }
+    return value;
+  }
+
+  /**
+   * Unix seconds from an ISO date, unix seconds or unix milliseconds
+   */
+  _toSeconds(value, fieldPath) {
+    const numeric = Number(value);
+    if (!Number.isNaN(numeric)) {
+      return numeric > 1e12 ? Math.floor(numeric / 1000) : numeric;
+    }
+
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) {
+      throw new Error(`${fieldPath} is not a date (${value})`);
+    }
+    return Math.floor(parsed / 1000);
+  }
+}
+
+module.exports = { ValidationPolicy, RULE_OPERATORS };
@@ -0,0 +1,45 @@
+/**
+ * Bounded worker pool
+ * Runs at most `concurrency` jobs at once, queueing the rest in order
+ */
+
+class WorkerPool {
+  constructor(concurrency, onChange = () => {}) {
+    this.concurrency = concurrency;
+    this.onChange = onChange;
+    this.running = 0;
+    this.queue = [];
+  }
+
+  get queued() {
+    return this.queue.length;
+  }
+
+  /**
+   * Queue a job; resolves or rejects with the job's own result
+   */
+  run(job) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ job, resolve, reject });
+      this._next();
+    });
+  }
+
+  _next() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const { job, resolve, reject } = this.queue.shift();
+      this.running++;
+
+      Promise.resolve()
+        .then(job)
+        .then(resolve, reject)
+        .finally(() => {
+          this.running--;
+          this._next();
+        });
+    }
+    this.onChange(this);
+  }
+}
+
+module.exports = { WorkerPool };
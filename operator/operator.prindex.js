@@ -0,0 +1,189 @@
+/**
+ * Index of PRs already validated, keyed by host/owner/repo/number
+ * Detects the same PR being claimed on several issues or claim indexes
+ */
+
+const { TASK_STATUS, JOURNAL_STATES } = require("./operator.constants");
+const { prKey } = require("./operator.links");
+const { decodeZKProof } = require("./operator.zkproof");
+const { logger } = require("../shared/logger");
+
+// getTask reads issued together when catching up with the journal
+const SYNC_BATCH_SIZE = 8;
+
+class PRIndex {
+  /**
+   * reservations is shared by every identity of the process, so claims on
+   * one PR handled by different identities still exclude each other
+   */
+  constructor(repository, journal, reservations = new Map()) {
+    this.repository = repository;
+    this.journal = journal;
+    // taskId -> { taskId, key, issueId, claimIndex, status, isValid, source }
+    this.tasks = new Map();
+    // key -> { taskId, issueId, claimIndex } of the task verifying that PR
+    this.reservations = reservations;
+  }
+
+  /**
+   * Rebuild from the journal: tasks this operator submitted
+   */
+  load() {
+    for (const taskId of this.journal.getTaskIds()) {
+      const history = this.journal.getHistory(taskId);
+      const verifying = history.find(
+        (entry) => entry.state === JOURNAL_STATES.VERIFYING && entry.prLink
+      );
+      const submitted = history.find(
+        (entry) => entry.state === JOURNAL_STATES.SUBMITTED && !entry.pending
+      );
+
+      if (verifying && submitted) {
+        this._set(taskId, {
+          key: prKey(verifying.prLink),
+          issueId: verifying.issueId,
+          claimIndex: verifying.claimIndex,
+          status: TASK_STATUS.VALIDATED,
+          isValid: submitted.isValid === true,
+          source: "journal",
+        });
+      }
+    }
+
+    return this.tasks.size;
+  }
+
+  /**
+   * Record a task read through getTask
+   */
+  ingestTask(taskId, task) {
+    const existing = this.tasks.get(taskId.toString());
+    if (existing && existing.source === "journal") {
+      return;
+    }
+
+    const decoded =
+      task.status === TASK_STATUS.VALIDATED
+        ? decodeZKProof(task.zkProof)
+        : null;
+
+    this._set(taskId, {
+      key: prKey(task.prLink),
+      issueId: task.issueId.toString(),
+      claimIndex: task.claimIndex.toString(),
+      status: task.status,
+      isValid: decoded ? decoded.impliedValid : null,
+      source: "chain",
+    });
+  }
+
+  /**
+   * Record our own submitted validation
+   */
+  recordValidation(taskId, task, isValid) {
+    this._set(taskId, {
+      key: prKey(task.prLink),
+      issueId: task.issueId.toString(),
+      claimIndex: task.claimIndex.toString(),
+      status: TASK_STATUS.VALIDATED,
+      isValid,
+      source: "journal",
+    });
+  }
+
+  /**
+   * Other claims on the same PR that have been validated as valid
+   * Reads getTask for journal-finished tasks not indexed yet, and refreshes
+   * still-open tasks on the same PR
+   */
+  async findDuplicates(taskId, task) {
+    const key = prKey(task.prLink);
+    if (!key) return [];
+
+    await this._sync(taskId, key);
+
+    const issueId = task.issueId.toString();
+    const claimIndex = task.claimIndex.toString();
+
+    return [...this.tasks.values()].filter(
+      (entry) =>
+        entry.key === key &&
+        entry.taskId !== taskId.toString() &&
+        entry.isValid === true &&
+        !(entry.issueId === issueId && entry.claimIndex === claimIndex)
+    );
+  }
+
+  /**
+   * Hold the PR for a task from verification until its result is indexed,
+   * so a concurrent claim on it cannot pass the duplicate check too
+   * Returns the task already holding it for another claim, null once held
+   */
+  reserve(taskId, task) {
+    const key = prKey(task.prLink);
+    if (!key) return null;
+
+    const issueId = task.issueId.toString();
+    const claimIndex = task.claimIndex.toString();
+    const holder = this.reservations.get(key);
+    if (holder && holder.taskId !== taskId.toString()) {
+      const sameClaim =
+        holder.issueId === issueId && holder.claimIndex === claimIndex;
+      return sameClaim ? null : holder;
+    }
+
+    this.reservations.set(key, {
+      taskId: taskId.toString(),
+      issueId,
+      claimIndex,
+    });
+    return null;
+  }
+
+  release(taskId) {
+    for (const [key, holder] of this.reservations) {
+      if (holder.taskId === taskId.toString()) {
+        this.reservations.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Validated tasks never change, so they are read at most once; tasks the
+   * journal has not seen finish cannot be duplicates yet and are skipped
+   */
+  async _sync(taskId, key) {
+    const stale = this.journal.getTaskIds().filter((knownId) => {
+      if (knownId === taskId.toString()) return false;
+
+      const entry = this.tasks.get(knownId);
+      if (entry && entry.status === TASK_STATUS.VALIDATED) return false;
+      if (entry && entry.key === key) return true;
+      return this.journal.isFinished(knownId);
+    });
+
+    for (let i = 0; i < stale.length; i += SYNC_BATCH_SIZE) {
+      await Promise.all(
+        stale
+          .slice(i, i + SYNC_BATCH_SIZE)
+          .map((knownId) => this._read(knownId))
+      );
+    }
+  }
+
+  async _read(taskId) {
+    try {
+      this.ingestTask(taskId, await this.repository.getTask(taskId));
+    } catch (error) {
+      logger.warn(
+        `⚠️  PR index could not read task #${taskId}: ${error.message}`
+      );
+    }
+  }
+
+  _set(taskId, fields) {
+    this.tasks.set(taskId.toString(), { taskId: taskId.toString(), ...fields });
+  }
+}
+
+module.exports = { PRIndex };
@@ -0,0 +1,178 @@
+/**
+ * Typed model of zkTLS proofs returned by the proof API
+ * Claims are read by field path and validated, never by text search
+ */
+
+const { ProofSchemaError } = require("./operator.errors");
+const { getProvider } = require("./operator.providers");
+
+class ZKTLSProof {
+  constructor(label, raw) {
+    this.label = label;
+    this.raw = raw;
+
+    const proof = this._unwrap(raw);
+    const claimData = this._requireObject(proof.claimData, "claimData");
+
+    this.identifier = proof.identifier || claimData.identifier || null;
+    this.signatures = Array.isArray(proof.signatures) ? proof.signatures : [];
+    this.witnesses = Array.isArray(proof.witnesses) ? proof.witnesses : [];
+    this.claimData = claimData;
+    this.provider = claimData.provider || null;
+    this.owner = claimData.owner || null;
+    this.timestampS =
+      claimData.timestampS !== undefined ? Number(claimData.timestampS) : null;
+    this.epoch = claimData.epoch !== undefined ? Number(claimData.epoch) : null;
+
+    this.parameters = this._parseJSONField(
+      claimData.parameters,
+      "claimData.parameters",
+      { optional: true }
+    );
+    this.context = this._parseJSONField(claimData.context, "claimData.context");
+    this.extracted = this._requireObject(
+      this.context.extractedParameters,
+      "claimData.context.extractedParameters"
+    );
+  }
+
+  /**
+   * Parse the PR proof: merged state and PR author identity
+   * Field names come from the provider (GitHub by default)
+   */
+  static fromPR(raw, provider = getProvider("github")) {
+    const proof = new ZKTLSProof("prProofData", raw);
+    proof.url = proof._requestUrl();
+    proof._readFields(provider.prFields);
+    return proof;
+  }
+
+  /**
+   * Parse the user proof: identity of the access token owner
+   */
+  static fromUser(raw, provider = getProvider("github")) {
+    const proof = new ZKTLSProof("userProofData", raw);
+    proof.url = proof._requestUrl();
+    proof._readFields(provider.userFields);
+    return proof;
+  }
+
+  /**
+   * The proof API returns either a single proof or a one-element array
+   */
+  _unwrap(raw) {
+    if (Array.isArray(raw)) {
+      if (raw.length !== 1) {
+        this._fail("", `expected exactly one proof, got ${raw.length}`);
+      }
+      return this._requireObject(raw[0], "[0]");
+    }
+    return this._requireObject(raw, "");
+  }
+
+  _parseJSONField(value, path, { optional = false } = {}) {
+    if (value === undefined || value === null) {
+      if (optional) return null;
+      this._fail(path, "is missing");
+    }
+
+    if (typeof value === "object") {
+      return value;
+    }
+
+    if (typeof value !== "string") {
+      this._fail(path, `expected JSON string, got ${typeof value}`);
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      this._fail(path, `is not valid JSON (${error.message})`);
+    }
+    return this._requireObject(parsed, path);
+  }
+
+  _requireObject(value, path) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      this._fail(path, "expected an object");
+    }
+    return value;
+  }
+
+  /**
+   * URL of the request the attestor witnessed (claimData.parameters.url)
+   */
+  _requestUrl() {
+    const url = this.parameters ? this.parameters.url : undefined;
+    if (typeof url !== "string" || url.length === 0) {
+      this._fail(
+        "claimData.parameters.url",
+        `expected request URL, got ${JSON.stringify(url)}`
+      );
+    }
+    return url;
+  }
+
+  /**
+   * Assign each field from its extracted parameter, e.g.
+   * { merged: { param: "state", type: "state", value: "merged" } }
+   */
+  _readFields(fields) {
+    for (const [field, spec] of Object.entries(fields)) {
+      switch (spec.type) {
+        case "boolean":
+          this[field] = this._booleanParam(spec.param);
+          break;
+        case "state":
+          this[field] = this._stringParam(spec.param) === spec.value;
+          break;
+        case "id":
+          this[field] = this._idParam(spec.param);
+          break;
+        default:
+          this[field] = this._stringParam(spec.param);
+      }
+    }
+  }
+
+  _booleanParam(name) {
+    const value = this.extracted[name];
+    if (value === true || value === "true") return true;
+    if (value === false || value === "false") return false;
+    this._fail(
+      `claimData.context.extractedParameters.${name}`,
+      `expected "true" or "false", got ${JSON.stringify(value)}`
+    );
+  }
+
+  _stringParam(name) {
+    const value = this.extracted[name];
+    if (typeof value !== "string" || value.length === 0) {
+      this._fail(
+        `claimData.context.extractedParameters.${name}`,
+        `expected non-empty string, got ${JSON.stringify(value)}`
+      );
+    }
+    return value;
+  }
+
+  _idParam(name) {
+    const value = this.extracted[name];
+    const id = typeof value === "number" ? String(value) : value;
+    if (typeof id !== "string" || !/^\d+$/.test(id)) {
+      this._fail(
+        `claimData.context.extractedParameters.${name}`,
+        `expected numeric id, got ${JSON.stringify(value)}`
+      );
+    }
+    return id;
+  }
+
+  _fail(path, message) {
+    const field = path ? `${this.label}.${path}` : this.label;
+    throw new ProofSchemaError(`${field} ${message}`, field);
+  }
+}
+
+module.exports = { ZKTLSProof };
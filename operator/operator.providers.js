@@ -0,0 +1,290 @@
+/**
+ * Verifier providers for code hosts (GitHub, GitLab, Bitbucket)
+ * Each provider parses its PR links, shapes the zkTLS proof request, names
+ * the proof fields holding merged state and author identity, and knows its
+ * public API for fallback verification and the authenticated-user endpoint
+ * the user proof must be taken from
+ */
+
+const { CONFIG } = require("./operator.constants");
+
+class PRProvider {
+  /**
+   * @param {string} name - Recorded in zkProofs and metrics
+   * @param {string[]} hosts - Web hosts served by this provider
+   * @param {Object<string, string>} apiHosts - API host -> web host
+   */
+  constructor(name, hosts, apiHosts = {}) {
+    this.name = name;
+    this.hosts = hosts.map((host) => host.toLowerCase());
+    this.apiHosts = apiHosts;
+  }
+
+  matches(host) {
+    return this.hosts.includes(host) || host in this.apiHosts;
+  }
+
+  /**
+   * Normalize a PR web or API URL to
+   * { provider, host, owner, repo, number }, null if invalid
+   */
+  parsePRTarget(url) {
+    const location = parseURL(url);
+    if (!location || !this.matches(location.host)) return null;
+
+    const match = this._parsePRPath(location.pathname);
+    if (!match) return null;
+
+    return {
+      provider: this.name,
+      host: this.apiHosts[location.host] || location.host,
+      owner: match.owner.toLowerCase(),
+      repo: match.repo.replace(/\.git$/i, "").toLowerCase(),
+      number: match.number,
+    };
+  }
+
+  /**
+   * Normalize a repository URL to { provider, host, owner, repo }
+   */
+  parseRepository(url) {
+    const location = parseURL(url);
+    if (!location || !this.matches(location.host)) return null;
+
+    const match = this._parseRepositoryPath(location.pathname);
+    if (!match) return null;
+
+    return {
+      provider: this.name,
+      host: this.apiHosts[location.host] || location.host,
+      owner: match.owner.toLowerCase(),
+      repo: match.repo.replace(/\.git$/i, "").toLowerCase(),
+    };
+  }
+
+  /**
+   * Query parameters for the zkTLS proof API
+   */
+  proofQuery(prLink) {
+    return { url: prLink, provider: this.name };
+  }
+
+  /**
+   * Default path layout: /<owner>/<repo>/...
+   */
+  _parseRepositoryPath(pathname) {
+    const match = pathname.match(/^\/([^\/]+)\/([^\/]+)/);
+    return match ? { owner: match[1], repo: match[2] } : null;
+  }
+}
+
+/**
+ * github.com/<owner>/<repo>/pull/<n>
+ * api.github.com/repos/<owner>/<repo>/pulls/<n>
+ */
+class GitHubProvider extends PRProvider {
+  constructor() {
+    super("github", ["github.com"], { "api.github.com": "github.com" });
+
+    // extractedParameters of the PR and user proofs
+    this.prFields = {
+      merged: { param: "merged", type: "boolean" },
+      login: { param: "login", type: "string" },
+      id: { param: "id", type: "id" },
+    };
+    this.userFields = {
+      login: { param: "login", type: "string" },
+      id: { param: "id", type: "id" },
+    };
+  }
+
+  _parsePRPath(pathname) {
+    const match = pathname.match(
+      /^\/(?:repos\/)?([^\/]+)\/([^\/]+)\/pulls?\/(\d+)(?:\/|$)/i
+    );
+    if (!match) return null;
+    return { owner: match[1], repo: match[2], number: match[3] };
+  }
+
+  _parseRepositoryPath(pathname) {
+    return super._parseRepositoryPath(pathname.replace(/^\/repos\//, "/"));
+  }
+
+  fallbackRequest(target) {
+    return {
+      url: `https://api.github.com/repos/${target.owner}/${target.repo}/pulls/${target.number}`,
+      headers: { Accept: "application/vnd.github.v3+json" },
+    };
+  }
+
+  userEndpoint() {
+    return "https://api.github.com/user";
+  }
+
+  isMerged(data) {
+    return data.merged === true;
+  }
+}
+
+/**
+ * <host>/<group>/<subgroups...>/<project>/-/merge_requests/<n>
+ * <host>/api/v4/projects/<url-encoded path>/merge_requests/<n>
+ * The owner is the full namespace, e.g. "group/subgroup"
+ */
+class GitLabProvider extends PRProvider {
+  constructor(hosts) {
+    super("gitlab", hosts);
+
+    this.prFields = {
+      merged: { param: "state", type: "state", value: "merged" },
+      login: { param: "username", type: "string" },
+      id: { param: "id", type: "id" },
+    };
+    this.userFields = {
+      login: { param: "username", type: "string" },
+      id: { param: "id", type: "id" },
+    };
+  }
+
+  _parsePRPath(pathname) {
+    const api = pathname.match(
+      /^\/api\/v4\/projects\/([^\/]+)\/merge_requests\/(\d+)(?:\/|$)/
+    );
+    if (api) {
+      // Numeric project ids cannot be tied to a repository
+      const project = splitProjectPath(decodeURIComponent(api[1]));
+      return project ? { ...project, number: api[2] } : null;
+    }
+
+    const web = pathname.match(
+      /^\/(.+?)\/([^\/]+)(?:\/-)?\/merge_requests\/(\d+)(?:\/|$)/
+    );
+    if (!web || web[2] === "-") return null;
+    return { owner: web[1], repo: web[2], number: web[3] };
+  }
+
+  _parseRepositoryPath(pathname) {
+    const path = pathname.split("/-/")[0].replace(/^\/|\/$/g, "");
+    return splitProjectPath(path);
+  }
+
+  fallbackRequest(target) {
+    const project = encodeURIComponent(`${target.owner}/${target.repo}`);
+    return {
+      url: `https://${target.host}/api/v4/projects/${project}/merge_requests/${target.number}`,
+      headers: { Accept: "application/json" },
+    };
+  }
+
+  userEndpoint(target) {
+    return `https://${target.host}/api/v4/user`;
+  }
+
+  isMerged(data) {
+    return data.state === "merged";
+  }
+}
+
+/**
+ * bitbucket.org/<workspace>/<repo>/pull-requests/<n>
+ * api.bitbucket.org/2.0/repositories/<workspace>/<repo>/pullrequests/<n>
+ * Bitbucket identities are account ids, not numeric
+ */
+class BitbucketProvider extends PRProvider {
+  constructor() {
+    super("bitbucket", ["bitbucket.org"], {
+      "api.bitbucket.org": "bitbucket.org",
+    });
+
+    this.prFields = {
+      merged: { param: "state", type: "state", value: "MERGED" },
+      login: { param: "nickname", type: "string" },
+      id: { param: "account_id", type: "string" },
+    };
+    this.userFields = {
+      login: { param: "nickname", type: "string" },
+      id: { param: "account_id", type: "string" },
+    };
+  }
+
+  _parsePRPath(pathname) {
+    const match = pathname.match(
+      /^\/(?:2\.0\/repositories\/)?([^\/]+)\/([^\/]+)\/pull-?requests\/(\d+)(?:\/|$)/i
+    );
+    if (!match) return null;
+    return { owner: match[1], repo: match[2], number: match[3] };
+  }
+
+  _parseRepositoryPath(pathname) {
+    return super._parseRepositoryPath(
+      pathname.replace(/^\/2\.0\/repositories\//, "/")
+    );
+  }
+
+  fallbackRequest(target) {
+    return {
+      url: `https://api.bitbucket.org/2.0/repositories/${target.owner}/${target.repo}/pullrequests/${target.number}`,
+      headers: { Accept: "application/json" },
+    };
+  }
+
+  userEndpoint() {
+    return "https://api.bitbucket.org/2.0/user";
+  }
+
+  isMerged(data) {
+    return data.state === "MERGED";
+  }
+}
+
+const PROVIDERS = [
+  new GitHubProvider(),
+  new GitLabProvider(CONFIG.gitlabHosts),
+  new BitbucketProvider(),
+];
+
+/**
+ * Parse a URL, assuming https:// when the scheme is omitted
+ */
+function parseURL(url) {
+  if (!url || typeof url !== "string") return null;
+
+  try {
+    const parsed = new URL(/^[a-z]+:\/\//i.test(url) ? url : `https://${url}`);
+    return { host: parsed.host.toLowerCase(), pathname: parsed.pathname };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * "group/subgroup/project" -> { owner: "group/subgroup", repo: "project" }
+ */
+function splitProjectPath(path) {
+  const index = path.lastIndexOf("/");
+  if (index <= 0 || index === path.length - 1) return null;
+  return { owner: path.slice(0, index), repo: path.slice(index + 1) };
+}
+
+/**
+ * Provider serving the URL's host, null if unsupported
+ */
+function resolveProvider(url) {
+  const location = parseURL(url);
+  if (!location) return null;
+  return PROVIDERS.find((provider) => provider.matches(location.host)) || null;
+}
+
+function getProvider(name) {
+  return PROVIDERS.find((provider) => provider.name === name) || null;
+}
+
+module.exports = {
+  PRProvider,
+  GitHubProvider,
+  GitLabProvider,
+  BitbucketProvider,
+  PROVIDERS,
+  resolveProvider,
+  getProvider,
+};
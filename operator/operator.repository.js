@@ -8,18 +8,32 @@ const {
   CONFIG,
   AVS_ABI,
   ISSUES_CLAIM_ABI,
-  GAS_LIMITS,
+  FEE_STRATEGIES,
   TIMEOUTS,
+  FAILURE_CLASSES,
 } = require("./operator.constants");
+const { VerificationError } = require("./operator.errors");
+const { TransactionSender } = require("./operator.transactions");
 
 class OperatorRepository {
-  constructor(provider, wallet) {
+  constructor(
+    provider,
+    signer,
+    metrics = null,
+    events = null,
+    taskCache = null
+  ) {
     this.provider = provider;
-    this.wallet = wallet;
+    this.signer = signer;
+    // WebSocket subscriptions when configured, HTTP filter polling otherwise
+    this.events = events;
+    // SharedCache for getTask, common to all identities of the bot
+    this.taskCache = taskCache;
+    this.transactions = new TransactionSender(signer, metrics);
     this.avsContract = new ethers.Contract(
       CONFIG.avsAddress,
       AVS_ABI,
-      wallet
+      signer
     );
     this.issuesClaimContract = null;
   }
@@ -44,7 +58,20 @@ class OperatorRepository {
     return await this.avsContract.getOperatorTasks(operatorAddress);
   }
 
+  async getOperator(operatorAddress) {
+    return await this.avsContract.getOperator(operatorAddress);
+  }
+
   async getTask(taskId) {
+    if (!this.taskCache) {
+      return await this._readTask(taskId);
+    }
+    return await this.taskCache.get(taskId.toString(), () =>
+      this._readTask(taskId)
+    );
+  }
+
+  async _readTask(taskId) {
     const taskPromise = this.avsContract.getTask(taskId);
     const timeoutPromise = new Promise((_, reject) =>
       setTimeout(
@@ -55,20 +82,45 @@ class OperatorRepository {
     return await Promise.race([taskPromise, timeoutPromise]);
   }
 
+  /**
+   * Picking races other operators, so it pays the fast priority fee
+   */
   async pickTask(taskId) {
-    const tx = await this.avsContract.pickTask(taskId, {
-      gasLimit: GAS_LIMITS.PICK_TASK,
-    });
-    return await tx.wait();
+    return await this.transactions.send(
+      this.avsContract,
+      "pickTask",
+      [taskId],
+      { strategy: FEE_STRATEGIES.FAST }
+    );
   }
 
-  async submitValidation(taskId, isValid, zkProof) {
-    const tx = await this.avsContract.submitValidation(
-      taskId,
-      isValid,
-      zkProof
+  async submitValidation(taskId, isValid, zkProof, onSent = null) {
+    return await this.transactions.send(
+      this.avsContract,
+      "submitValidation",
+      [taskId, isValid, zkProof],
+      { onSent }
     );
-    return await tx.wait();
+  }
+
+  /**
+   * Outcome of transactions sent for one nonce: the first mined receipt,
+   * else whether the node still knows any of them (pending) or none (dropped)
+   */
+  async findTransaction(hashes) {
+    for (const hash of hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt && receipt.blockNumber) {
+        return { receipt, pending: false };
+      }
+    }
+
+    for (const hash of hashes) {
+      if (await this.provider.getTransaction(hash)) {
+        return { receipt: null, pending: true };
+      }
+    }
+    return { receipt: null, pending: false };
   }
 
   async getClaim(issueId, claimIndex) {
@@ -78,15 +130,120 @@ class OperatorRepository {
     return await contract.claims(issueIdBN, claimIndexBN);
   }
 
+  async getBlockNumber() {
+    return await this.provider.getBlockNumber();
+  }
+
+  /**
+   * Query historical contract events in a block range
+   */
+  async queryTaskCreated(fromBlock, toBlock) {
+    return await this.avsContract.queryFilter(
+      this.avsContract.filters.TaskCreated(),
+      fromBlock,
+      toBlock
+    );
+  }
+
+  async queryTaskAssigned(fromBlock, toBlock) {
+    return await this.avsContract.queryFilter(
+      this.avsContract.filters.TaskAssigned(),
+      fromBlock,
+      toBlock
+    );
+  }
+
+  /**
+   * Repository ("owner/repo" or URL) of an issue, null if the IssuesClaim
+   * contract does not expose it
+   */
+  async getIssueRepository(issueId) {
+    const repository = await this._readOptionalIssueField(
+      "getIssueRepository",
+      issueId
+    );
+    return repository || null;
+  }
+
+  /**
+   * Issue creation time (unix seconds), null if not exposed by the contract
+   */
+  async getIssueCreatedAt(issueId) {
+    const createdAt = await this._readOptionalIssueField(
+      "getIssueCreatedAt",
+      issueId
+    );
+    return createdAt ? createdAt.toNumber() || null : null;
+  }
+
+  /**
+   * Call an IssuesClaim getter not every deployment has: null when the
+   * fragment or the function is missing (CALL_EXCEPTION), any other
+   * failure is a transient VerificationError
+   */
+  async _readOptionalIssueField(method, issueId) {
+    const contract = await this.initIssuesClaimContract();
+    if (typeof contract[method] !== "function") return null;
+
+    try {
+      return await contract[method](ethers.BigNumber.from(issueId));
+    } catch (error) {
+      if (error.code === ethers.errors.CALL_EXCEPTION) return null;
+      throw new VerificationError(
+        `Cannot read ${method}(${issueId}): ${error.message}`,
+        { reason: "rpc_error", failureClass: FAILURE_CLASSES.TRANSIENT }
+      );
+    }
+  }
+
+  /**
+   * Open a dispute through the configured contract method, which takes
+   * (uint256 taskId, bytes evidence); the bond, if any, is sent as value
+   */
+  async openDispute(taskId, evidence) {
+    const fragment = ethers.utils.FunctionFragment.from(CONFIG.disputeMethod);
+    const contract = new ethers.Contract(
+      CONFIG.disputeContract,
+      [fragment],
+      this.signer
+    );
+
+    return await this.transactions.send(
+      contract,
+      fragment.format(),
+      [taskId, evidence],
+      { value: ethers.utils.parseEther(CONFIG.disputeBond) }
+    );
+  }
+
   /**
    * Subscribe to contract events
    */
   onTaskCreated(callback) {
-    this.avsContract.on("TaskCreated", callback);
+    this._subscribe("TaskCreated", callback);
   }
 
   onTaskAssigned(callback) {
-    this.avsContract.on("TaskAssigned", callback);
+    this._subscribe("TaskAssigned", callback);
+  }
+
+  _subscribe(eventName, callback) {
+    if (this.events) {
+      this.events.subscribe(CONFIG.avsAddress, AVS_ABI, eventName, callback);
+    } else {
+      this.avsContract.on(eventName, callback);
+    }
+  }
+
+  /**
+   * Detach all contract event listeners
+   */
+  async removeEventListeners() {
+    this.avsContract.removeAllListeners("TaskCreated");
+    this.avsContract.removeAllListeners("TaskAssigned");
+    if (this.events) {
+      await this.events.destroy();
+    }
   }
 }
 
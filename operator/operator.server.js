@@ -0,0 +1,213 @@
+/**
+ * HTTP server for the operator's advertised endpoint
+ * Exposes health, status and per-task views for probes and the AVS
+ */
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { CONFIG, TIMEOUTS } = require("./operator.constants");
+const { checkEndpoints } = require("../shared/provider");
+const { logger } = require("../shared/logger");
+
+class OperatorServer {
+  constructor(bot) {
+    this.bot = bot;
+    this.server = null;
+  }
+
+  /**
+   * Start listening on the configured port
+   */
+  async start() {
+    this.server = http.createServer((req, res) =>
+      this._handleRequest(req, res)
+    );
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(CONFIG.httpPort, CONFIG.httpHost, resolve);
+    });
+
+    logger.info(
+      `🌐 HTTP endpoint listening on ${CONFIG.httpHost}:${CONFIG.httpPort}`
+    );
+  }
+
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async _handleRequest(req, res) {
+    if (req.method !== "GET") {
+      return this._send(res, 405, { error: "Method not allowed" });
+    }
+
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    try {
+      if (pathname === "/health") {
+        const health = await this._getHealth();
+        return this._send(res, health.healthy ? 200 : 503, health);
+      }
+
+      if (pathname === "/metrics") {
+        const { metrics } = this.bot;
+        res.writeHead(200, { "Content-Type": metrics.contentType });
+        return res.end(await metrics.render());
+      }
+
+      if (pathname === "/status") {
+        return this._send(res, 200, await this._getStatus());
+      }
+
+      const taskMatch = pathname.match(/^\/tasks\/(\d+)$/);
+      if (taskMatch) {
+        return this._send(res, 200, this._getTaskView(taskMatch[1]));
+      }
+
+      return this._send(res, 404, { error: "Not found" });
+    } catch (error) {
+      return this._send(res, 500, { error: error.message });
+    }
+  }
+
+  /**
+   * RPC reachable, every identity registered, polling loop alive
+   * Each RPC endpoint and the WebSocket are reported but not required:
+   * failover covers the former and backfill the latter
+   */
+  async _getHealth() {
+    const { provider, events, identities, lastPollAt, pollStage } = this.bot;
+
+    let blockNumber = null;
+    try {
+      blockNumber = await this._withTimeout(
+        provider.getBlockNumber(),
+        TIMEOUTS.HEALTH_RPC
+      );
+    } catch (error) {
+      // Reported as rpc: false below
+    }
+
+    const pollingAlive =
+      lastPollAt !== null && Date.now() - lastPollAt < this._pollingDeadline();
+
+    const checks = {
+      rpc: blockNumber !== null,
+      polling: pollingAlive,
+    };
+    // A shadow instance need not be a registered operator
+    if (!CONFIG.shadowMode) {
+      checks.registered = identities.every(
+        (identity) => identity.isRegistered
+      );
+    }
+
+    return {
+      healthy: Object.values(checks).every(Boolean),
+      checks,
+      blockNumber,
+      lastPollAt,
+      pollStage,
+      rpcEndpoints: await checkEndpoints(provider, TIMEOUTS.HEALTH_RPC),
+      websocket: events
+        ? { host: events.host, connected: events.isConnected }
+        : null,
+    };
+  }
+
+  /**
+   * Longest a healthy loop stage may run before the next heartbeat: a
+   * task's zkTLS attempts with their backoff, its submission including
+   * every fee-bumped replacement, and the sleep between polls
+   */
+  _pollingDeadline() {
+    const attempts = CONFIG.verifyMaxAttempts;
+    const verification =
+      TIMEOUTS.TASK_DETAILS +
+      attempts * TIMEOUTS.ZKTLS_API +
+      CONFIG.verifyRetryBaseDelay * (2 ** (attempts - 1) - 1);
+    const submission =
+      (CONFIG.txMaxReplacements + 1) *
+      CONFIG.txStuckBlocks *
+      TIMEOUTS.BLOCK_TIME;
+
+    return CONFIG.pollInterval + verification + submission;
+  }
+
+  /**
+   * Bot-wide state, and tasks, stake and transactions per identity
+   */
+  async _getStatus() {
+    const { identities, shadowReport, watchdog } = this.bot;
+
+    return {
+      avsAddress: CONFIG.avsAddress,
+      endpoint: CONFIG.endpoint,
+      isRunning: this.bot.isRunning,
+      operators: await Promise.all(
+        identities.map((identity) => this._getIdentityStatus(identity))
+      ),
+      shadow: shadowReport
+        ? { reportPath: shadowReport.filePath, comparisons: shadowReport.counts }
+        : null,
+      watchdog: watchdog
+        ? { mode: watchdog.mode, reviews: watchdog.counts }
+        : null,
+    };
+  }
+
+  async _getIdentityStatus({ name, address, repository, service }) {
+    let stake = null;
+    try {
+      const operator = await repository.getOperator(address);
+      stake = ethers.utils.formatEther(operator.stake);
+    } catch (error) {
+      // Stake is informational, keep serving status without it
+    }
+
+    return {
+      name,
+      address,
+      stake,
+      inFlightTasks: [...service.processingTasks],
+      queuedTasks: service.pool.queued,
+      pendingTransactions: repository.transactions.nonces.getPending(),
+    };
+  }
+
+  /**
+   * A task as each identity's journal knows it
+   */
+  _getTaskView(taskId) {
+    return {
+      taskId,
+      operators: this.bot.identities.map(
+        ({ name, address, journal, service }) => ({
+          name,
+          address,
+          state: journal.getState(taskId),
+          processing: service.processingTasks.has(taskId),
+          history: journal.getHistory(taskId),
+        })
+      ),
+    };
+  }
+
+  _send(res, statusCode, body) {
+    res.writeHead(statusCode, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  }
+
+  _withTimeout(promise, ms) {
+    const timeoutPromise = new Promise((_, reject) =>
+      setTimeout(() => reject(new Error("Timeout")), ms)
+    );
+    return Promise.race([promise, timeoutPromise]);
+  }
+}
+
+module.exports = { OperatorServer };
@@ -5,17 +5,50 @@
 
 const { ethers } = require("ethers");
 const {
+  CONFIG,
   TASK_STATUS,
+  JOURNAL_STATES,
+  FAILURE_CLASSES,
+  DUPLICATE_PR_POLICIES,
   TIMEOUTS,
   ERROR_CODES,
 } = require("./operator.constants");
+const {
+  ReceiptUnavailableError,
+  VerificationError,
+} = require("./operator.errors");
+const { ShadowReport } = require("./operator.shadow");
+const { WorkerPool } = require("./operator.pool");
+const { encodeErrorProof } = require("./operator.zkproof");
+const { logger } = require("../shared/logger");
 
 class OperatorService {
-  constructor(repository, validator, operatorAddress) {
+  constructor(
+    repository,
+    validator,
+    operatorAddress,
+    journal,
+    metrics,
+    prIndex,
+    shadowReport = null
+  ) {
     this.repository = repository;
     this.validator = validator;
     this.operatorAddress = operatorAddress;
+    this.journal = journal;
+    this.metrics = metrics;
+    this.prIndex = prIndex;
+    // Set in shadow mode: tasks are verified and compared, never submitted
+    this.shadowReport = shadowReport;
     this.processingTasks = new Set();
+    this.activeTasks = new Map();
+    this.pool = new WorkerPool(CONFIG.taskConcurrency, (pool) =>
+      this.metrics.tasksQueued.set(
+        { operator: this.operatorAddress },
+        pool.queued
+      )
+    );
+    this.isAccepting = true;
   }
 
   /**
@@ -30,17 +63,33 @@ class OperatorService {
    * Pick up a pending task
    */
   async pickUpTask(taskId) {
+    if (this.shadowReport) {
+      throw new Error("Shadow mode never picks tasks");
+    }
+
+    if (!this.isAccepting) {
+      return { picked: false, shouldProcess: false };
+    }
+
     const task = await this.repository.getTask(taskId);
 
     if (task.status !== TASK_STATUS.PENDING) {
       return await this._handleNonPendingTask(taskId, task);
     }
 
-    console.log(`📝 Picking task #${taskId}...`);
+    logger.info(`📝 Picking task #${taskId}...`);
 
     try {
-      await this.repository.pickTask(taskId);
-      console.log(`✅ Task #${taskId} picked successfully`);
+      const receipt = await this.repository.pickTask(taskId);
+      logger.debug(`   Pick transaction: ${receipt.transactionHash}`, {
+        taskId: taskId.toString(),
+        txHash: receipt.transactionHash,
+      });
+      this.journal.record(taskId, JOURNAL_STATES.PICKED, {
+        txHash: receipt.transactionHash,
+      });
+      this.metrics.tasksPicked.inc();
+      logger.info(`✅ Task #${taskId} picked successfully`);
       return { picked: true };
     } catch (error) {
       return await this._handlePickTaskError(taskId, error);
@@ -48,64 +97,514 @@ class OperatorService {
   }
 
   /**
-   * Process a validation task
+   * Process a validation task, or only verify it in shadow mode
+   * Runs in the worker pool, at most CONFIG.taskConcurrency at once; a task
+   * already queued or running is not queued again
+   * Every log entry emitted while processing carries the task fields and
+   * the operator address
    */
   async processTask(taskId) {
     const taskIdStr = taskId.toString();
 
+    if (!this.isAccepting) {
+      logger.info(`⏸️  Shutting down, not starting task #${taskId}`);
+      return;
+    }
+
+    if (this.activeTasks.has(taskIdStr)) {
+      return await this.activeTasks.get(taskIdStr);
+    }
+
+    const context = { taskId: taskIdStr, operator: this.operatorAddress };
+    const run = this.pool.run(() =>
+      logger.withContext(context, () => {
+        // Queued before shutdown began: left for the next start
+        if (!this.isAccepting) {
+          logger.info(`⏸️  Shutting down, not starting task #${taskId}`);
+          return;
+        }
+        return this.shadowReport
+          ? this._shadowTask(taskId)
+          : this._processTask(taskId);
+      })
+    );
+
+    const release = () => this.activeTasks.delete(taskIdStr);
+    this.activeTasks.set(taskIdStr, run);
+    run.then(release, release);
+
+    return await run;
+  }
+
+  /**
+   * Stop starting new tasks; running tasks halt at the next safe checkpoint
+   */
+  stopAccepting() {
+    this.isAccepting = false;
+    this.repository.transactions.stop();
+  }
+
+  /**
+   * Wait for running tasks to finish or reach a checkpoint, up to timeoutMs
+   */
+  async drain(timeoutMs) {
+    if (this.activeTasks.size === 0) {
+      return { drained: true, pending: [] };
+    }
+
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    });
+    const settled = Promise.allSettled([...this.activeTasks.values()]).then(
+      () => true
+    );
+
+    const drained = await Promise.race([settled, deadline]);
+    clearTimeout(timer);
+
+    return { drained, pending: [...this.activeTasks.keys()] };
+  }
+
+  async _processTask(taskId) {
+    const taskIdStr = taskId.toString();
+
     if (this.processingTasks.has(taskIdStr)) {
-      console.log(`⏭️  Task #${taskId} already being processed, skipping...`);
+      logger.info(`⏭️  Task #${taskId} already being processed, skipping...`);
       return;
     }
 
     this.processingTasks.add(taskIdStr);
+    this._updateInFlight();
 
     try {
-      console.log(`\n🔍 Processing task #${taskId}...`);
+      logger.info(`\n🔍 Processing task #${taskId}...`);
 
       const task = await this.repository.getTask(taskId);
-      this._logTaskDetails(task);
 
-      const accessToken = await this._getAccessToken(task);
-      console.log(
-        `   Access Token: ${
-          accessToken ? "***" + accessToken.slice(-4) : "(none)"
-        }`
-      );
+      const submission = this.journal.getPendingSubmission(taskId);
+      if (
+        submission &&
+        (await this._settleSubmission(taskId, task, submission))
+      ) {
+        return;
+      }
 
-      let isValid = false;
-      let zkProof = "0x";
+      if (task.status === TASK_STATUS.VALIDATED) {
+        logger.info(`⏭️  Task #${taskId} already validated on-chain`);
+        this.journal.record(taskId, JOURNAL_STATES.VALIDATED);
+        return;
+      }
 
-      try {
-        const verificationResult = await this.validator.verifyPR(
-          task.prLink,
-          accessToken
-        );
-        isValid = verificationResult.isValid;
-        zkProof = verificationResult.zkProof;
-      } catch (verificationError) {
-        console.error(
-          `   ⚠️  Verification failed: ${verificationError.message}`
-        );
-        console.log(`   🚫 Submitting rejection to prevent retry loop...`);
+      logger.addContext({
+        issueId: task.issueId.toString(),
+        claimIndex: task.claimIndex.toString(),
+      });
+      this._logTaskDetails(task);
 
-        zkProof = this._createErrorProof(verificationError);
-        isValid = false;
+      const claim = await this.getClaim(task);
+      const { accessToken } = claim;
+      logger.addSecret(accessToken);
+      logger.info(`   Access Token: ${accessToken ? "(provided)" : "(none)"}`);
+
+      // Safe checkpoint: nothing sent yet, the journal resumes it on restart
+      if (!this.isAccepting) {
+        logger.info(`⏸️  Shutting down, leaving task #${taskId} for restart`);
+        return;
       }
 
-      console.log(
+      this.journal.record(taskId, JOURNAL_STATES.VERIFYING, {
+        issueId: task.issueId.toString(),
+        claimIndex: task.claimIndex.toString(),
+        prLink: task.prLink,
+      });
+
+      const { isValid, zkProof } = await this.evaluateTask(taskId, task, claim);
+
+      logger.info(
         `   Validation Result: ${isValid ? "✅ VALID" : "❌ INVALID"}`
       );
 
-      await this._submitValidation(taskId, isValid, zkProof);
+      // Journaled at broadcast so a restart checks the receipt instead
+      // of submitting again
+      const receipt = await this._submitValidation(
+        taskId,
+        isValid,
+        zkProof,
+        (txHash) =>
+          this.journal.record(taskId, JOURNAL_STATES.SUBMITTED, {
+            isValid,
+            txHash,
+            pending: true,
+          })
+      );
+      this._completeSubmission(taskId, task, isValid, receipt);
+    } catch (error) {
+      // Still journaled as a pending submission: the next poll or restart
+      // looks its receipt up instead of submitting again
+      if (error instanceof ReceiptUnavailableError) {
+        logger.warn(
+          `⚠️  ${error.message}, checking submission for task #${taskId} later`
+        );
+        return;
+      }
+
+      this.journal.record(taskId, JOURNAL_STATES.FAILED, {
+        reason: error.message,
+        failureClass: error.failureClass,
+      });
+      logger.error(`❌ Error processing task #${taskId}: ${error.message}`);
+      logger.error(`   Task will remain in queue and be retried later.`);
+    } finally {
+      this._releasePR(taskId);
+      this.processingTasks.delete(taskIdStr);
+      this._updateInFlight();
+    }
+  }
+
+  /**
+   * Resolve a submission broadcast before the last stop
+   * Returns true when nothing more is to be done for now: confirmed, or
+   * still pending or unreadable and checked again on the next poll. A
+   * reverted or dropped transaction returns false and the task is
+   * evaluated again
+   */
+  async _settleSubmission(taskId, task, submission) {
+    let found;
+    try {
+      found = await this.repository.findTransaction(submission.hashes);
+    } catch (error) {
+      logger.warn(
+        `⚠️  Cannot check submission for task #${taskId}: ${error.message}`
+      );
+      return true;
+    }
+    const { receipt, pending } = found;
+
+    if (receipt && receipt.status === 1) {
+      logger.info(
+        `✅ Submission for task #${taskId} confirmed (Transaction Hash: ${receipt.transactionHash})`,
+        { txHash: receipt.transactionHash }
+      );
+      this._completeSubmission(taskId, task, submission.isValid, receipt);
+      return true;
+    }
+
+    if (pending) {
+      logger.info(
+        `⏳ Submission for task #${taskId} still pending, checking again later`
+      );
+      return true;
+    }
+
+    logger.warn(
+      `⚠️  Submission for task #${taskId} ${
+        receipt ? "reverted" : "was dropped"
+      }, evaluating again`
+    );
+    return false;
+  }
+
+  _completeSubmission(taskId, task, isValid, receipt) {
+    this.journal.record(taskId, JOURNAL_STATES.SUBMITTED, {
+      isValid,
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+    });
+    this.metrics.tasksValidated.inc({
+      result: isValid ? "valid" : "invalid",
+    });
+    this.prIndex.recordValidation(taskId, task, isValid);
+
+    logger.info(`✅ Task #${taskId} completed`);
+  }
+
+  /**
+   * Decide a task's result and zkProof without submitting anything
+   * Transient failures throw; permanent ones yield a rejection proof
+   */
+  async evaluateTask(taskId, task, claim) {
+    try {
+      this._checkClaimMatchesTask(task, claim);
+      await this._checkDuplicatePR(taskId, task);
+
+      const verificationResult = await this._verifyWithRetry(
+        task,
+        claim.accessToken
+      );
+      return {
+        isValid: verificationResult.isValid,
+        zkProof: verificationResult.zkProof,
+      };
+    } catch (verificationError) {
+      if (!this._isPermanentFailure(verificationError)) {
+        throw verificationError;
+      }
+
+      logger.error(`   ⚠️  Verification failed: ${verificationError.message}`);
+      logger.info(`   🚫 Permanent failure, rejecting...`);
+
+      return {
+        isValid: false,
+        zkProof: encodeErrorProof(verificationError, this.operatorAddress),
+      };
+    }
+  }
+
+  /**
+   * Shadow mode: verify a task as if assigned to us and record the result
+   * Compared with the assigned operator's submission once it lands
+   */
+  async _shadowTask(taskId) {
+    const taskIdStr = taskId.toString();
+
+    if (
+      this.processingTasks.has(taskIdStr) ||
+      this._hasShadowResult(taskIdStr)
+    ) {
+      return;
+    }
+
+    this.processingTasks.add(taskIdStr);
+    this._updateInFlight();
+
+    try {
+      logger.info(`\n👥 Shadowing task #${taskId}...`);
+
+      const task = await this.repository.getTask(taskId);
+      logger.addContext({
+        issueId: task.issueId.toString(),
+        claimIndex: task.claimIndex.toString(),
+      });
+      this._logTaskDetails(task);
+
+      const claim = await this.getClaim(task);
+      logger.addSecret(claim.accessToken);
+
+      if (!this.isAccepting) {
+        logger.info(`⏸️  Shutting down, leaving task #${taskId} for restart`);
+        return;
+      }
+
+      this.journal.record(taskId, JOURNAL_STATES.VERIFYING, {
+        issueId: task.issueId.toString(),
+        claimIndex: task.claimIndex.toString(),
+        prLink: task.prLink,
+      });
+
+      const { isValid, zkProof } = await this.evaluateTask(taskId, task, claim);
+      const summary = ShadowReport.summarize(zkProof);
 
-      console.log(`✅ Task #${taskId} completed`);
+      logger.info(
+        `   Shadow Result: ${isValid ? "✅ VALID" : "❌ INVALID"} (not submitted)`
+      );
+      this.journal.record(taskId, JOURNAL_STATES.SHADOWED, {
+        isValid,
+        kind: summary.kind,
+        reasons: summary.reasons,
+      });
+
+      if (task.status === TASK_STATUS.VALIDATED) {
+        this._compareShadowResult(taskId, task);
+      }
     } catch (error) {
-      console.error(`❌ Error processing task #${taskId}:`, error.message);
-      console.error(`   Task will remain in queue and be retried later.`);
+      this.journal.record(taskId, JOURNAL_STATES.FAILED, {
+        reason: error.message,
+        failureClass: error.failureClass,
+      });
+      logger.error(`❌ Error shadowing task #${taskId}: ${error.message}`);
     } finally {
+      this.prIndex.release(taskId);
       this.processingTasks.delete(taskIdStr);
+      this._updateInFlight();
+    }
+  }
+
+  /**
+   * Shadow mode: compare shadowed tasks the assigned operator has validated
+   */
+  async compareShadowedTasks() {
+    const shadowed = this.journal.getTasksInState(JOURNAL_STATES.SHADOWED);
+
+    for (const taskId of shadowed) {
+      try {
+        const task = await this.repository.getTask(taskId);
+        if (task.status === TASK_STATUS.VALIDATED) {
+          this._compareShadowResult(taskId, task);
+        }
+      } catch (error) {
+        logger.error(`❌ Error comparing task #${taskId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Shadow mode: failed shadows to verify again, like live mode retries
+   * its assigned tasks until they are validated
+   * Once the assigned operator has validated the task the failure is final
+   */
+  async pollFailedShadows() {
+    const failed = this.journal.getTasksInState(JOURNAL_STATES.FAILED);
+
+    const retryTasks = [];
+    for (const taskId of failed) {
+      const history = this.journal.getHistory(taskId);
+      const failure = history[history.length - 1];
+      if (
+        this.processingTasks.has(taskId) ||
+        failure.failureClass === FAILURE_CLASSES.PERMANENT
+      ) {
+        continue;
+      }
+
+      const task = await this.repository.getTask(taskId);
+      if (task.status === TASK_STATUS.VALIDATED) {
+        logger.warn(
+          `⚠️  Task #${taskId} validated before it could be shadowed, giving up`
+        );
+        this.journal.record(taskId, JOURNAL_STATES.FAILED, {
+          reason: "Validated by the assigned operator before a shadow result",
+          failureClass: FAILURE_CLASSES.PERMANENT,
+        });
+      } else {
+        retryTasks.push(taskId);
+      }
+    }
+
+    return retryTasks;
+  }
+
+  _hasShadowResult(taskId) {
+    return [JOURNAL_STATES.SHADOWED, JOURNAL_STATES.COMPARED].includes(
+      this.journal.getState(taskId)
+    );
+  }
+
+  _compareShadowResult(taskId, task) {
+    const shadow = [...this.journal.getHistory(taskId)]
+      .reverse()
+      .find((entry) => entry.state === JOURNAL_STATES.SHADOWED);
+
+    const entry = this.shadowReport.compare(taskId, task, shadow);
+    this.shadowReport.logComparison(entry);
+    this.metrics.shadowComparisons.inc({ outcome: entry.outcome });
+    this.journal.record(taskId, JOURNAL_STATES.COMPARED, {
+      outcome: entry.outcome,
+      assignedOperator: task.assignedOperator,
+    });
+  }
+
+  /**
+   * Flag a PR already validated on another issue or claim
+   * Rejects with duplicate_pr or only alerts, per DUPLICATE_PR_POLICY; when
+   * rejecting, the PR is reserved until the task finishes and a claim on it
+   * meanwhile fails transiently, to be checked again once the result is in
+   */
+  async _checkDuplicatePR(taskId, task) {
+    const duplicates = await this.prIndex.findDuplicates(taskId, task);
+    if (duplicates.length === 0) {
+      this._reservePR(taskId, task);
+      return;
+    }
+
+    const previous = duplicates
+      .map(
+        (entry) =>
+          `task #${entry.taskId} (issue ${entry.issueId}, claim ${entry.claimIndex})`
+      )
+      .join(", ");
+
+    this.metrics.duplicatePRs.inc({ policy: CONFIG.duplicatePrPolicy });
+    logger.warn(`   ⚠️  Duplicate PR claim, already validated in ${previous}`);
+
+    if (CONFIG.duplicatePrPolicy === DUPLICATE_PR_POLICIES.ALERT) {
+      return;
+    }
+
+    throw new VerificationError(`PR already validated in ${previous}`, {
+      reason: "duplicate_pr",
+      failureClass: FAILURE_CLASSES.PERMANENT,
+      details: {
+        duplicateOf: duplicates.map(({ taskId, issueId, claimIndex }) => ({
+          taskId,
+          issueId,
+          claimIndex,
+        })),
+      },
+    });
+  }
+
+  _reservePR(taskId, task) {
+    if (CONFIG.duplicatePrPolicy !== DUPLICATE_PR_POLICIES.REJECT) {
+      return;
+    }
+
+    const holder = this.prIndex.reserve(taskId, task);
+    if (!holder) {
+      return;
     }
+
+    throw new VerificationError(
+      `PR is being verified for task #${holder.taskId} (issue ${holder.issueId}, claim ${holder.claimIndex})`,
+      {
+        reason: "pr_in_verification",
+        failureClass: FAILURE_CLASSES.TRANSIENT,
+      }
+    );
+  }
+
+  /**
+   * Free the task's PR reservation once its result is indexed or it
+   * failed; an unconfirmed submission keeps it
+   */
+  _releasePR(taskId) {
+    if (!this.journal.getPendingSubmission(taskId)) {
+      this.prIndex.release(taskId);
+    }
+  }
+
+  /**
+   * Read the issue's repository and creation time and run verification,
+   * retrying transient failures of either with exponential backoff
+   */
+  async _verifyWithRetry(task, accessToken) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const issueRepository = await this.repository.getIssueRepository(
+          task.issueId
+        );
+        const issueCreatedAt = await this.repository.getIssueCreatedAt(
+          task.issueId
+        );
+
+        return await this.validator.verifyPR(task.prLink, accessToken, {
+          issueRepository,
+          issueCreatedAt,
+        });
+      } catch (error) {
+        const canRetry =
+          !this._isPermanentFailure(error) &&
+          attempt < CONFIG.verifyMaxAttempts &&
+          this.isAccepting;
+
+        if (!canRetry) {
+          throw error;
+        }
+
+        const delay = CONFIG.verifyRetryBaseDelay * 2 ** (attempt - 1);
+        this.metrics.verificationRetries.inc();
+        logger.warn(
+          `   🔁 Transient failure (attempt ${attempt}/${
+            CONFIG.verifyMaxAttempts
+          }), retrying in ${delay / 1000}s...`
+        );
+        await this._sleep(delay);
+      }
+    }
+  }
+
+  _isPermanentFailure(error) {
+    return error.failureClass === FAILURE_CLASSES.PERMANENT;
   }
 
   /**
@@ -116,17 +615,71 @@ class OperatorService {
 
     const pendingTasks = [];
     for (const taskId of tasks) {
-      if (!this.processingTasks.has(taskId.toString())) {
-        const task = await this.repository.getTask(taskId);
-        if (task.status === TASK_STATUS.ASSIGNED) {
-          pendingTasks.push(taskId);
-        }
+      if (
+        this.processingTasks.has(taskId.toString()) ||
+        this.journal.isFinished(taskId)
+      ) {
+        continue;
+      }
+
+      const task = await this.repository.getTask(taskId);
+      if (task.status === TASK_STATUS.ASSIGNED) {
+        pendingTasks.push(taskId);
+      } else if (task.status === TASK_STATUS.VALIDATED) {
+        this.journal.record(taskId, JOURNAL_STATES.VALIDATED);
       }
     }
 
     return pendingTasks;
   }
 
+  /**
+   * Find tasks among a block range's events that this operator has not
+   * handled yet; the events are queried once for all identities
+   * Tasks only seen so far (a live event just before a crash, or a failed
+   * pick) are returned again. Tasks assigned to someone else within the
+   * range are skipped without reads
+   */
+  findMissedTasks(createdEvents, assignedEvents) {
+    const assignedTo = new Map();
+    for (const event of assignedEvents) {
+      assignedTo.set(event.args.taskId.toString(), event.args.operator);
+    }
+
+    const missed = [];
+    for (const event of createdEvents) {
+      const taskId = event.args.taskId.toString();
+
+      const state = this.journal.getState(taskId);
+      if (state !== null && state !== JOURNAL_STATES.SEEN) {
+        continue;
+      }
+
+      if (state === null) {
+        this.journal.record(taskId, JOURNAL_STATES.SEEN, {
+          issueId: event.args.issueId.toString(),
+          claimIndex: event.args.claimIndex.toString(),
+          blockNumber: event.blockNumber,
+          backfill: true,
+        });
+      }
+
+      // Shadow mode verifies every task, whoever it is assigned to
+      const operator = assignedTo.get(taskId);
+      if (
+        !this.shadowReport &&
+        operator &&
+        operator.toLowerCase() !== this.operatorAddress.toLowerCase()
+      ) {
+        continue;
+      }
+
+      missed.push(taskId);
+    }
+
+    return missed;
+  }
+
   /**
    * Check if task is assigned to this operator
    */
@@ -137,58 +690,115 @@ class OperatorService {
   }
 
   /**
-   * Extract access token from claim data
+   * Read the IssuesClaim record behind a task
    */
-  async _getAccessToken(task) {
+  async getClaim(task) {
     const issueId = ethers.BigNumber.from(task.issueId);
     const claimIndex = ethers.BigNumber.from(task.claimIndex);
 
-    console.log(
+    logger.info(
       `   Issue ID: ${issueId.toString()}, Claim Index: ${claimIndex.toString()}`
     );
 
     const claimResult = await this.repository.getClaim(issueId, claimIndex);
 
     // Access by index: [0]=prLink, [1]=isMerged, [2]=developer, [3]=isValidated, [4]=timestamp, [5]=accessToken
-    return claimResult[5] || claimResult.accessToken || "";
+    return {
+      prLink: claimResult[0],
+      isMerged: claimResult[1],
+      developer: claimResult[2],
+      isValidated: claimResult[3],
+      timestamp: claimResult[4],
+      accessToken: claimResult[5] || "",
+    };
+  }
+
+  /**
+   * Reject without a zkTLS call when the task does not describe its claim
+   */
+  _checkClaimMatchesTask(task, claim) {
+    const reasons = [];
+
+    if (claim.isValidated) {
+      reasons.push("claim_already_validated");
+    }
+    if (task.prLink.trim() !== claim.prLink.trim()) {
+      reasons.push("claim_pr_link_mismatch");
+    }
+    if (task.developer.toLowerCase() !== claim.developer.toLowerCase()) {
+      reasons.push("claim_developer_mismatch");
+    }
+
+    if (reasons.length === 0) {
+      return;
+    }
+
+    for (const reason of reasons) {
+      this.metrics.verificationErrors.inc({ cause: reason });
+    }
+
+    throw new VerificationError(
+      `Task does not match IssuesClaim record: ${reasons.join(", ")}`,
+      {
+        reason: reasons[0],
+        failureClass: FAILURE_CLASSES.PERMANENT,
+        details: {
+          reasons,
+          claimPrLink: claim.prLink,
+          claimDeveloper: claim.developer,
+          claimIsValidated: claim.isValidated,
+        },
+      }
+    );
   }
 
   /**
    * Submit validation result to AVS
    */
-  async _submitValidation(taskId, isValid, zkProof) {
-    console.log(`   📤 Operator AVS Submitting validation...`);
+  async _submitValidation(taskId, isValid, zkProof, onSent) {
+    if (this.shadowReport) {
+      throw new Error("Shadow mode never submits validations");
+    }
+
+    logger.info(`   📤 Operator AVS Submitting validation...`);
 
+    const endTimer = this.metrics.submitLatency.startTimer();
     const receipt = await this.repository.submitValidation(
       taskId,
       isValid,
-      zkProof
+      zkProof,
+      (txHash) => {
+        onSent(txHash);
+        logger.info(`   ⏳ Waiting for confirmation...`, { txHash });
+      }
     );
+    endTimer();
 
-    console.log(`   ⏳ Waiting for confirmation...`);
-    console.log(
-      `   ✅ Validation submitted (Transaction Hash: ${receipt.transactionHash})`
+    logger.info(
+      `   ✅ Validation submitted (Transaction Hash: ${receipt.transactionHash})`,
+      { txHash: receipt.transactionHash }
     );
+    return receipt;
   }
 
   /**
    * Log task details
    */
   _logTaskDetails(task) {
-    console.log(`   PR Link: ${task.prLink}`);
-    console.log(`   Developer: ${task.developer}`);
+    logger.info(`   PR Link: ${task.prLink}`);
+    logger.info(`   Developer: ${task.developer}`);
   }
 
   /**
    * Handle task that is not in pending status
    */
   async _handleNonPendingTask(taskId, task) {
-    console.log(
+    logger.info(
       `⏭️  Task #${taskId} already assigned (status: ${task.status})`
     );
 
     if (this.isAssignedToMe(task) && task.status === TASK_STATUS.ASSIGNED) {
-      console.log(`✅ Task #${taskId} is assigned to me, processing...`);
+      logger.info(`✅ Task #${taskId} is assigned to me, processing...`);
       return { picked: false, shouldProcess: true };
     }
 
@@ -199,33 +809,51 @@ class OperatorService {
    * Handle errors when picking up a task
    */
   async _handlePickTaskError(taskId, error) {
-    const isAlreadyAssigned = ERROR_CODES.TASK_ALREADY_ASSIGNED.some((code) =>
-      error.message.includes(code)
-    );
+    const isAlreadyAssigned =
+      ERROR_CODES.TASK_ALREADY_ASSIGNED.some((code) =>
+        error.message.includes(code)
+      ) || (await this._lostPickRace(taskId, error));
 
     if (isAlreadyAssigned) {
-      console.log(`⏭️  Task #${taskId} already assigned to another operator`);
+      this.metrics.tasksLost.inc();
+      logger.info(`⏭️  Task #${taskId} already assigned to another operator`);
 
       try {
         const task = await this.repository.getTask(taskId);
         if (this.isAssignedToMe(task)) {
-          console.log(`✅ Task #${taskId} is assigned to me, processing...`);
+          logger.info(`✅ Task #${taskId} is assigned to me, processing...`);
           return { picked: false, shouldProcess: true };
         }
       } catch (checkError) {
-        console.error(
-          `❌ Error checking task assignment:`,
-          checkError.message
+        logger.error(
+          `❌ Error checking task assignment: ${checkError.message}`
         );
       }
 
       return { picked: false, shouldProcess: false };
     }
 
-    console.error(`❌ Failed to pick task #${taskId}:`, error.message);
+    logger.error(`❌ Failed to pick task #${taskId}: ${error.message}`);
     throw error;
   }
 
+  /**
+   * A mined pickTask revert carries no reason; the task no longer pending
+   * means another pick won the race
+   */
+  async _lostPickRace(taskId, error) {
+    if (!error.receipt) {
+      return false;
+    }
+
+    try {
+      const task = await this.repository.getTask(taskId);
+      return task.status !== TASK_STATUS.PENDING;
+    } catch (checkError) {
+      return false;
+    }
+  }
+
   /**
    * Wait for auto-assignment to complete
    */
@@ -233,30 +861,19 @@ class OperatorService {
     await this._sleep(TIMEOUTS.AUTO_ASSIGNMENT_WAIT);
   }
 
+  _updateInFlight() {
+    this.metrics.tasksInFlight.set(
+      { operator: this.operatorAddress },
+      this.processingTasks.size
+    );
+  }
+
   /**
    * Sleep helper
    */
   _sleep(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
-
-  /**
-   * Create error proof for failed verification
-   * This allows the task to be rejected rather than retried infinitely
-   */
-  _createErrorProof(error) {
-    const errorData = {
-      error: true,
-      message: error.message,
-      timestamp: Date.now(),
-      operator: this.operatorAddress,
-      reason: "verification_failed",
-    };
-
-    return ethers.utils.hexlify(
-      ethers.utils.toUtf8Bytes(JSON.stringify(errorData))
-    );
-  }
 }
 
 module.exports = { OperatorService };
@@ -0,0 +1,106 @@
+/**
+ * Shadow mode report
+ * Compares what this build would have submitted with what the assigned
+ * operator submitted, appending disagreements to a JSONL file
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { SHADOW_OUTCOMES } = require("./operator.constants");
+const { decodeZKProof } = require("./operator.zkproof");
+const { logger } = require("../shared/logger");
+
+class ShadowReport {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.counts = {
+      [SHADOW_OUTCOMES.AGREE]: 0,
+      [SHADOW_OUTCOMES.DISAGREE]: 0,
+      [SHADOW_OUTCOMES.UNDECODABLE]: 0,
+    };
+  }
+
+  /**
+   * Outcome and rejection reasons carried by zkProof bytes
+   */
+  static summarize(zkProof) {
+    const { kind, impliedValid, data } = decodeZKProof(zkProof);
+
+    const verified = data && data.verified;
+
+    let reasons = [];
+    if (verified && Array.isArray(verified.rejectionReasons)) {
+      reasons = verified.rejectionReasons;
+    } else if (data && data.error === true) {
+      reasons = [data.reason || "verification_failed"];
+    }
+
+    return { kind, isValid: impliedValid, reasons };
+  }
+
+  /**
+   * Compare a shadow result with the task's on-chain zkProof
+   * Entries other than agreements are appended to the report file
+   */
+  compare(taskId, task, shadow) {
+    const submitted = ShadowReport.summarize(task.zkProof);
+
+    let outcome;
+    if (submitted.isValid === null) {
+      outcome = SHADOW_OUTCOMES.UNDECODABLE;
+    } else if (submitted.isValid === shadow.isValid) {
+      outcome = SHADOW_OUTCOMES.AGREE;
+    } else {
+      outcome = SHADOW_OUTCOMES.DISAGREE;
+    }
+    this.counts[outcome]++;
+
+    const entry = {
+      taskId: taskId.toString(),
+      outcome,
+      issueId: task.issueId.toString(),
+      claimIndex: task.claimIndex.toString(),
+      prLink: task.prLink,
+      assignedOperator: task.assignedOperator,
+      shadow: {
+        isValid: shadow.isValid,
+        kind: shadow.kind,
+        reasons: shadow.reasons,
+      },
+      submitted,
+      comparedAt: Date.now(),
+    };
+
+    if (outcome !== SHADOW_OUTCOMES.AGREE) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + "\n");
+    }
+
+    return entry;
+  }
+
+  /**
+   * Log a comparison, disagreements as warnings
+   */
+  logComparison(entry) {
+    const describe = ({ isValid, kind, reasons }) => {
+      const result =
+        isValid === null ? "unknown" : isValid ? "VALID" : "INVALID";
+      const detail = reasons.length > 0 ? `: ${reasons.join(", ")}` : "";
+      return `${result} (${kind}${detail})`;
+    };
+
+    const message =
+      `👥 Task #${entry.taskId} ${entry.outcome}: ` +
+      `shadow ${describe(entry.shadow)}, ` +
+      `operator ${entry.assignedOperator} ${describe(entry.submitted)}`;
+
+    if (entry.outcome === SHADOW_OUTCOMES.AGREE) {
+      logger.info(message);
+    } else {
+      logger.warn(`⚠️  ${message}`);
+    }
+  }
+}
+
+module.exports = { ShadowReport };
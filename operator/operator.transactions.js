@@ -0,0 +1,344 @@
+/**
+ * Transaction sending with EIP-1559 fees and stuck-transaction replacement
+ * Estimates gas, prices fees per strategy within the configured caps and
+ * re-sends at the same nonce with bumped fees while a transaction is pending
+ * Nonces come from a NonceManager, so concurrent sends are serialized
+ */
+
+const { ethers } = require("ethers");
+const {
+  CONFIG,
+  FEE_STRATEGIES,
+  MAX_RECEIPT_POLL_ERRORS,
+  MIN_FEE_BUMP_PERCENT,
+  TIMEOUTS,
+} = require("./operator.constants");
+const {
+  ReceiptUnavailableError,
+  TransactionStuckError,
+} = require("./operator.errors");
+const { NonceManager } = require("./operator.nonces");
+const { logger } = require("../shared/logger");
+
+const { BigNumber } = ethers;
+const { Zero } = ethers.constants;
+
+class TransactionSender {
+  constructor(signer, metrics = null) {
+    this.signer = signer;
+    this.metrics = metrics;
+    this.nonces = new NonceManager(signer);
+    this.caps = this._parseCaps();
+    this.isStopping = false;
+
+    if (CONFIG.txFeeBumpPercent < MIN_FEE_BUMP_PERCENT) {
+      throw new Error(
+        `TX_FEE_BUMP_PERCENT must be at least ${MIN_FEE_BUMP_PERCENT}, ` +
+          `nodes reject smaller replacements`
+      );
+    }
+  }
+
+  get provider() {
+    return this.signer.provider;
+  }
+
+  /**
+   * Shutting down: receipt polls failing on RPC errors stop retrying
+   */
+  stop() {
+    this.isStopping = true;
+  }
+
+  /**
+   * Call a contract method and wait for its receipt
+   * Reverts surface from estimateGas with their error data, before sending;
+   * only the nonce assignment and broadcast hold the nonce lock. onSent is
+   * called with the hash of the transaction and of each replacement as
+   * soon as they are broadcast
+   */
+  async send(contract, method, args, { strategy, value, onSent } = {}) {
+    const request = await contract.populateTransaction[method](
+      ...args,
+      value ? { value } : {}
+    );
+
+    const estimate = await this.signer.estimateGas(request);
+    request.gasLimit = this._scale(estimate, CONFIG.gasLimitMultiplier);
+
+    strategy = strategy || FEE_STRATEGIES.STANDARD;
+    const fees = await this._fees(strategy);
+    const tx = await this.nonces.send(method, (nonce) => {
+      request.nonce = nonce;
+      return this.signer.sendTransaction({ ...request, ...fees });
+    });
+    logger.debug(`   Sent ${method} (nonce ${request.nonce}): ${tx.hash}`, {
+      txHash: tx.hash,
+    });
+
+    let receipt;
+    try {
+      if (onSent) onSent(tx.hash);
+      receipt = await this._waitForReceipt(
+        { method, strategy, request, onSent },
+        fees,
+        tx.hash
+      );
+    } catch (error) {
+      // A mined revert used its nonce; otherwise the nonce may still be
+      // free and the next one is read from the chain again
+      if (error.receipt) {
+        this.nonces.settle(request.nonce);
+      } else {
+        await this.nonces.abandon(request.nonce);
+      }
+      throw error;
+    }
+
+    this.nonces.settle(request.nonce);
+    return receipt;
+  }
+
+  /**
+   * Poll for a receipt of the transaction or any of its replacements
+   * After CONFIG.txStuckBlocks blocks without one, replace it with bumped
+   * fees; after CONFIG.txMaxReplacements replacements, give up
+   * RPC errors while polling are retried: the transaction is out, and
+   * failing here would have it sent again. After MAX_RECEIPT_POLL_ERRORS
+   * in a row, or once stopping, ReceiptUnavailableError leaves the
+   * receipt to the caller's journal
+   */
+  async _waitForReceipt(sending, fees, hash) {
+    const { method, request } = sending;
+    const hashes = [hash];
+    let pendingSince = null;
+    let attempts = 0;
+    let rpcErrors = 0;
+
+    for (;;) {
+      let receipt;
+      let blockNumber;
+      try {
+        receipt = await this._findReceipt(hashes);
+        if (!receipt) blockNumber = await this.provider.getBlockNumber();
+        rpcErrors = 0;
+      } catch (error) {
+        rpcErrors++;
+        if (this.isStopping || rpcErrors >= MAX_RECEIPT_POLL_ERRORS) {
+          throw new ReceiptUnavailableError(
+            `Cannot check ${method} receipt (nonce ${request.nonce}): ` +
+              `${error.message}`,
+            { method, nonce: request.nonce, hashes }
+          );
+        }
+        logger.warn(
+          `   ⚠️  Cannot check ${method} receipt (${error.message}), retrying`
+        );
+        await this._sleep(TIMEOUTS.TX_POLL);
+        continue;
+      }
+
+      if (receipt) {
+        return this._checkReceipt(method, receipt);
+      }
+
+      if (pendingSince === null) pendingSince = blockNumber;
+      if (blockNumber - pendingSince >= CONFIG.txStuckBlocks) {
+        if (attempts >= CONFIG.txMaxReplacements) {
+          if (this.metrics) this.metrics.transactionsStuck.inc({ method });
+          throw new TransactionStuckError(
+            `${method} still pending after ${hashes.length - 1} ` +
+              `replacement(s) (nonce ${request.nonce})`,
+            { method, nonce: request.nonce, hashes }
+          );
+        }
+
+        attempts++;
+        pendingSince = blockNumber;
+
+        const replaced = await this._replace(sending, fees);
+        if (replaced) {
+          hashes.push(replaced.hash);
+          this.nonces.replaced(request.nonce, replaced.hash);
+          fees = replaced.fees;
+          if (sending.onSent) sending.onSent(replaced.hash);
+        }
+      }
+
+      await this._sleep(TIMEOUTS.TX_POLL);
+    }
+  }
+
+  async _findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await this.provider.getTransactionReceipt(hash);
+      if (receipt && receipt.blockNumber) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Mined but reverted transactions throw like ethers' tx.wait()
+   */
+  _checkReceipt(method, receipt) {
+    if (receipt.status === 0) {
+      const error = new Error(
+        `${method} reverted (Transaction Hash: ${receipt.transactionHash})`
+      );
+      error.code = ethers.errors.CALL_EXCEPTION;
+      error.receipt = receipt;
+      throw error;
+    }
+    return receipt;
+  }
+
+  /**
+   * Re-send at the same nonce with fees bumped by CONFIG.txFeeBumpPercent
+   * Returns null when the caps leave no room or the nonce was just mined
+   */
+  async _replace({ method, strategy, request }, previous) {
+    const fees = this._bump(previous, await this._fees(strategy));
+    if (!fees) {
+      logger.warn(
+        `   ⚠️  ${method} pending for ${CONFIG.txStuckBlocks} blocks, ` +
+          `fee caps reached, still waiting`
+      );
+      return null;
+    }
+
+    try {
+      const tx = await this.signer.sendTransaction({ ...request, ...fees });
+      if (this.metrics) this.metrics.transactionReplacements.inc({ method });
+      logger.warn(
+        `   ⛽ ${method} pending for ${CONFIG.txStuckBlocks} blocks, ` +
+          `replaced with bumped fees (Transaction Hash: ${tx.hash})`,
+        { txHash: tx.hash }
+      );
+      return { hash: tx.hash, fees };
+    } catch (error) {
+      // The original may have been mined meanwhile; the next poll finds it
+      if (
+        error.code === ethers.errors.NONCE_EXPIRED ||
+        error.code === ethers.errors.REPLACEMENT_UNDERPRICED
+      ) {
+        logger.debug(`   Replacement of ${method} not sent: ${error.code}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Fees for a strategy, capped; legacy gasPrice on pre-London networks
+   */
+  async _fees(strategy) {
+    const feeData = await this.provider.getFeeData();
+
+    if (!feeData.lastBaseFeePerGas) {
+      return this._capFees({ gasPrice: feeData.gasPrice });
+    }
+
+    let priorityFee = await this._priorityFee(feeData);
+    if (strategy === FEE_STRATEGIES.FAST) {
+      priorityFee = this._scale(priorityFee, CONFIG.fastPriorityMultiplier);
+    }
+
+    return this._capFees({
+      type: 2,
+      maxPriorityFeePerGas: priorityFee,
+      maxFeePerGas: feeData.lastBaseFeePerGas.mul(2).add(priorityFee),
+    });
+  }
+
+  /**
+   * The node's suggested priority fee; ethers' own is a fixed 1.5 gwei
+   */
+  async _priorityFee(feeData) {
+    try {
+      return BigNumber.from(
+        await this.provider.send("eth_maxPriorityFeePerGas", [])
+      );
+    } catch (error) {
+      return feeData.maxPriorityFeePerGas;
+    }
+  }
+
+  /**
+   * Bumped fees, at least the current network fees, or null if the caps
+   * keep the bump below what nodes accept as a replacement
+   */
+  _bump(previous, current) {
+    const bump = (fee) => fee.mul(100 + CONFIG.txFeeBumpPercent).div(100);
+    const minimum = (fee) => fee.mul(100 + MIN_FEE_BUMP_PERCENT).div(100);
+    const max = (a, b) => (a.gt(b) ? a : b);
+
+    if (previous.gasPrice) {
+      const fees = this._capFees({
+        gasPrice: max(bump(previous.gasPrice), current.gasPrice || Zero),
+      });
+      return fees.gasPrice.gte(minimum(previous.gasPrice)) ? fees : null;
+    }
+
+    const fees = this._capFees({
+      type: 2,
+      maxPriorityFeePerGas: max(
+        bump(previous.maxPriorityFeePerGas),
+        current.maxPriorityFeePerGas || Zero
+      ),
+      maxFeePerGas: max(
+        bump(previous.maxFeePerGas),
+        current.maxFeePerGas || Zero
+      ),
+    });
+    return fees.maxFeePerGas.gte(minimum(previous.maxFeePerGas)) &&
+      fees.maxPriorityFeePerGas.gte(minimum(previous.maxPriorityFeePerGas))
+      ? fees
+      : null;
+  }
+
+  _capFees(fees) {
+    const min = (a, b) => (b && a.gt(b) ? b : a);
+
+    if (fees.gasPrice) {
+      return { gasPrice: min(fees.gasPrice, this.caps.maxFeePerGas) };
+    }
+
+    const maxFeePerGas = min(fees.maxFeePerGas, this.caps.maxFeePerGas);
+    const maxPriorityFeePerGas = min(
+      min(fees.maxPriorityFeePerGas, this.caps.maxPriorityFeePerGas),
+      maxFeePerGas
+    );
+    return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  _parseCaps() {
+    const parse = (value, name) => {
+      if (!value) return null;
+      try {
+        return ethers.utils.parseUnits(value, "gwei");
+      } catch (error) {
+        throw new Error(`${name} "${value}" is not an amount in gwei`);
+      }
+    };
+
+    return {
+      maxFeePerGas: parse(CONFIG.maxFeePerGas, "MAX_FEE_PER_GAS_GWEI"),
+      maxPriorityFeePerGas: parse(
+        CONFIG.maxPriorityFeePerGas,
+        "MAX_PRIORITY_FEE_PER_GAS_GWEI"
+      ),
+    };
+  }
+
+  _scale(value, multiplier) {
+    return value.mul(Math.round(multiplier * 100)).div(100);
+  }
+
+  _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = { TransactionSender };
@@ -5,34 +5,89 @@
 
 const { ethers } = require("ethers");
 const axios = require("axios");
-const { CONFIG, TIMEOUTS } = require("./operator.constants");
+const {
+  CONFIG,
+  TIMEOUTS,
+  FAILURE_CLASSES,
+  TRANSIENT_ERROR_CODES,
+  TRANSIENT_HTTP_STATUSES,
+  PERMANENT_HTTP_STATUSES,
+  SETUP_HTTP_STATUSES,
+  PROOF_CLOCK_SKEW,
+} = require("./operator.constants");
+const {
+  VerificationError,
+  ProofSchemaError,
+  ProofSignatureError,
+} = require("./operator.errors");
+const { ZKTLSProof } = require("./operator.proof");
+const { AttestorVerifier } = require("./operator.attestation");
+const { ValidationPolicy } = require("./operator.policy");
+const {
+  parsePRTarget,
+  parseRepository,
+  isSamePR,
+} = require("./operator.links");
+const { resolveProvider } = require("./operator.providers");
+const { SharedCache } = require("./operator.cache");
+const { logger } = require("../shared/logger");
 
 class ZKTLSValidator {
+  /**
+   * @param {OperatorMetrics} metrics
+   * @param {Object} [options]
+   * @param {Object} [options.fixture] - Recorded zkTLS response body,
+   *   replayed instead of calling the API
+   * @param {Function} [options.onResponse] - Receives each raw response body
+   * @param {Function} [options.now] - Clock (ms) for freshness and age checks
+   */
+  constructor(metrics, { fixture = null, onResponse = null, now = null } = {}) {
+    this.metrics = metrics;
+    this.fixture = fixture;
+    this.onResponse = onResponse;
+    this.now = now || Date.now;
+    this.attestorVerifier = new AttestorVerifier(
+      CONFIG.attestorAddresses,
+      CONFIG.minAttestorSignatures
+    );
+    this.policy = ValidationPolicy.load(CONFIG.policyPath);
+    // One validator serves every identity, so one fetch per PR and token
+    this.proofCache = new SharedCache("proof", CONFIG.proofCacheTtl, metrics);
+  }
+
   /**
    * Verify PR merge status using zkTLS
+   * The provider (GitHub, GitLab, Bitbucket) is chosen by the link's host
+   * issueRepository, when known, binds the PR to the issue's repository;
+   * issue fields are also exposed to policy rules
    */
-  async verifyPR(prLink, accessToken) {
+  async verifyPR(
+    prLink,
+    accessToken,
+    { issueRepository = null, issueCreatedAt = null } = {}
+  ) {
     try {
-      console.log(`   🔐 Verifying with zkTLS...`);
+      logger.info(`   🔐 Verifying with zkTLS...`);
 
-      this._validatePRLink(prLink);
+      const provider = this._validatePRLink(prLink);
 
-      console.log(`   📡 Calling zkTLS API...`);
-      console.log(`      URL: ${prLink}`);
-      console.log(
-        `      Token: ${accessToken ? "***" + accessToken.slice(-4) : "(none)"}`
-      );
+      logger.info(`   📡 Calling zkTLS API...`);
+      logger.info(`      URL: ${prLink}`);
+      logger.info(`      Provider: ${provider.name}`);
+      logger.info(`      Token: ${accessToken ? "(provided)" : "(none)"}`);
 
       const { prProofData, userProofData } = await this._callZKTLSAPI(
         prLink,
-        accessToken
+        accessToken,
+        provider
       );
 
-      console.log(`   🔍 Verifying proof data...`);
+      logger.info(`   🔍 Verifying proof data...`);
 
       const verificationResult = this._extractAndVerifyProof(
         prProofData,
-        userProofData
+        userProofData,
+        { provider, prLink, issueRepository, issueCreatedAt }
       );
 
       this._logVerificationResult(verificationResult);
@@ -47,6 +102,7 @@ class ZKTLSValidator {
         isValid: verificationResult.isValid,
         zkProof,
         metadata: {
+          provider: verificationResult.provider,
           isMerged: verificationResult.isMerged,
           isValidUser: verificationResult.isValidUser,
           isValidId: verificationResult.isValidId,
@@ -55,57 +111,177 @@ class ZKTLSValidator {
         },
       };
     } catch (error) {
-      console.error("   ❌ zkTLS verification failed:", error.message);
-      console.error("   Operator not submitting proof.");
+      const reason = this._classifyError(error);
+      const failureClass = this._classifyFailure(error, reason);
+      this.metrics.verificationErrors.inc({ cause: reason });
+
+      // A retry must fetch a new proof, not reuse the one that failed
+      if (failureClass === FAILURE_CLASSES.TRANSIENT) {
+        this.proofCache.delete(this._proofKey(prLink, accessToken));
+      }
+
+      logger.error(`   ❌ zkTLS verification failed: ${error.message}`);
+      logger.error(`   Failure class: ${failureClass} (${reason})`);
       if (error.response) {
-        console.error("   📄 Response status:", error.response.status);
-        console.error(
-          "   📄 Response data:",
-          JSON.stringify(error.response.data, null, 2)
+        logger.error(`   📄 Response status: ${error.response.status}`);
+        logger.debug(
+          `   📄 Response data: ${JSON.stringify(
+            logger.redact(error.response.data),
+            null,
+            2
+          )}`
         );
       }
 
-      throw new Error(`zkTLS verification failed: ${error.message}`);
+      throw new VerificationError(
+        `zkTLS verification failed: ${error.message}`,
+        {
+          reason,
+          failureClass,
+          status: error.response ? error.response.status : null,
+        }
+      );
     }
   }
 
   /**
-   * Validate GitHub PR link format
+   * Decide whether a failure is transient (retry) or permanent (reject)
+   * Only failures that say something about the claim itself are permanent
+   */
+  _classifyFailure(error, reason) {
+    if (reason === "invalid_pr_link") {
+      return FAILURE_CLASSES.PERMANENT;
+    }
+
+    if (reason === "zktls_http") {
+      const status = error.response ? error.response.status : null;
+
+      if (SETUP_HTTP_STATUSES.includes(status)) {
+        this.metrics.zkTLSSetupErrors.inc({ status });
+        logger.error(
+          `   🚨 zkTLS API answered ${status}: check ZKTLS_API_URL and the service credentials`
+        );
+        return FAILURE_CLASSES.TRANSIENT;
+      }
+
+      if (
+        status === null ||
+        status >= 500 ||
+        TRANSIENT_HTTP_STATUSES.includes(status) ||
+        TRANSIENT_ERROR_CODES.includes(error.code)
+      ) {
+        return FAILURE_CLASSES.TRANSIENT;
+      }
+
+      // The zkTLS service rejected this PR or token outright
+      if (PERMANENT_HTTP_STATUSES.includes(status)) {
+        return FAILURE_CLASSES.PERMANENT;
+      }
+
+      // Other 4xx say nothing clear about the claim
+      return FAILURE_CLASSES.TRANSIENT;
+    }
+
+    // A proof that breaks the schema, is unsigned or is signed by an
+    // unknown attestor cannot back the claim, so the claim is rejected
+    if (reason === "context_extraction" || reason === "untrusted_proof") {
+      return FAILURE_CLASSES.PERMANENT;
+    }
+
+    // Unparseable responses are a service fault, not the claim's
+    return FAILURE_CLASSES.TRANSIENT;
+  }
+
+  /**
+   * Map a verification error to its metrics cause label
+   */
+  _classifyError(error) {
+    if (error.isAxiosError) return "zktls_http";
+    if (error instanceof ProofSchemaError) return "context_extraction";
+    if (error instanceof ProofSignatureError) return "untrusted_proof";
+
+    const causes = [
+      ["Invalid response format", "bad_response"],
+      ["Invalid PR link", "invalid_pr_link"],
+      ["Policy inconclusive", "policy_inconclusive"],
+    ];
+    const match = causes.find(([message]) => error.message.includes(message));
+    return match ? match[1] : "other";
+  }
+
+  /**
+   * Validate the PR link and resolve its provider
    */
   _validatePRLink(prLink) {
-    const match = prLink.match(
-      /github\.com\/([^\/]+)\/([^\/]+)\/pull\/(\d+)/
-    );
-    if (!match) {
-      throw new Error("Invalid GitHub PR link");
+    const provider = resolveProvider(prLink);
+    if (!provider) {
+      throw new Error(`Invalid PR link: unsupported host (${prLink})`);
     }
-    return match;
+    if (!provider.parsePRTarget(prLink)) {
+      throw new Error(`Invalid PR link for ${provider.name}: ${prLink}`);
+    }
+    return provider;
   }
 
   /**
-   * Call zkTLS API to generate proof
+   * Call zkTLS API to generate proof, or reuse a recent proof of the same
+   * PR and token fetched for another identity
    */
-  async _callZKTLSAPI(prLink, accessToken) {
-    const response = await axios.get(
-      `${CONFIG.zkTLSApiUrl}/generate-proof?url=${encodeURIComponent(prLink)}`,
-      {
-        headers: {
-          Authorization: `Bearer ${
-            accessToken || process.env.ZKTLS_ACCESS_TOKEN || ""
-          }`,
-        },
-        timeout: TIMEOUTS.ZKTLS_API,
-      }
+  async _callZKTLSAPI(prLink, accessToken, provider) {
+    if (this.fixture) {
+      logger.info(`   📼 Replaying recorded zkTLS response`);
+      return this._parseResponse(this.fixture);
+    }
+
+    return await this.proofCache.get(this._proofKey(prLink, accessToken), () =>
+      this._fetchProof(prLink, accessToken, provider)
     );
+  }
+
+  _proofKey(prLink, accessToken) {
+    return `${prLink}\n${accessToken || ""}`;
+  }
+
+  async _fetchProof(prLink, accessToken, provider) {
+    const endTimer = this.metrics.zkTLSLatency.startTimer();
+    const query = new URLSearchParams(provider.proofQuery(prLink));
+
+    let response;
+    try {
+      response = await axios.get(
+        `${CONFIG.zkTLSApiUrl}/generate-proof?${query.toString()}`,
+        {
+          headers: {
+            Authorization: `Bearer ${
+              accessToken || process.env.ZKTLS_ACCESS_TOKEN || ""
+            }`,
+          },
+          timeout: TIMEOUTS.ZKTLS_API,
+        }
+      );
+    } catch (error) {
+      endTimer({ status: error.response ? error.response.status : "error" });
+      throw error;
+    }
+
+    endTimer({ status: response.status });
+
+    logger.info(`   📦 Response received (status: ${response.status})`);
+
+    if (this.onResponse) {
+      this.onResponse(response.data);
+    }
 
-    console.log(`   📦 Response received (status: ${response.status})`);
+    return this._parseResponse(response.data);
+  }
 
-    const { prProofData, userProofData } = response.data;
+  _parseResponse(data) {
+    const { prProofData, userProofData } = data || {};
 
     if (!prProofData || !userProofData) {
-      console.log(`   ❌ Invalid response structure`);
-      console.log(`      Expected: { prProofData, userProofData }`);
-      console.log(`      Got keys:`, Object.keys(response.data));
+      logger.info(`   ❌ Invalid response structure`);
+      logger.info(`      Expected: { prProofData, userProofData }`);
+      logger.info(`      Got keys: ${Object.keys(data || {}).join(", ")}`);
       throw new Error("Invalid response format from zkTLS API");
     }
 
@@ -113,78 +289,250 @@ class ZKTLSValidator {
   }
 
   /**
-   * Extract and verify proof data
+   * Parse proofs into typed models, check attestor signatures,
+   * then verify their claims
    */
-  _extractAndVerifyProof(prProofData, userProofData) {
-    const proofString = JSON.stringify({ prProofData, userProofData });
+  _extractAndVerifyProof(prProofData, userProofData, binding) {
+    const provider = binding.provider || this._validatePRLink(binding.prLink);
+    const prProof = ZKTLSProof.fromPR(prProofData, provider);
+    const userProof = ZKTLSProof.fromUser(userProofData, provider);
+
+    const prAttestation = this.attestorVerifier.verify(prProof);
+    const userAttestation = this.attestorVerifier.verify(userProof);
+    logger.info(
+      `   🔏 Attestor signatures valid (${prAttestation.signers.join(", ")})`
+    );
 
-    const contextRegex = /"context":\s*"({.*?})"/g;
-    const matches = [...proofString.matchAll(contextRegex)];
+    const claims = this._verifyProofData(prProof, userProof);
+    const taskBinding = this._verifyTaskBinding(provider, prProof, userProof, {
+      prLink: binding.prLink,
+      issueRepository: binding.issueRepository,
+    });
+    const policy = this.policy.evaluate(
+      this._buildPolicyContext(prProof, userProof, binding),
+      this.now()
+    );
+    const policyReasons = policy
+      .filter((rule) => rule.passed === false)
+      .map((rule) => `policy_${rule.id}`);
+
+    // Missing policy fields must not turn an otherwise valid claim into a
+    // rejection; the verification fails transiently instead
+    const inconclusive = policy.filter((rule) => rule.passed === null);
+    if (
+      claims.isValid &&
+      taskBinding.isBound &&
+      policyReasons.length === 0 &&
+      inconclusive.length > 0
+    ) {
+      throw new Error(
+        `Policy inconclusive: ${inconclusive
+          .map((rule) => `${rule.id} (${rule.detail})`)
+          .join(", ")}`
+      );
+    }
 
-    if (matches.length < 2) {
-      throw new Error("Could not extract context from proof data");
+    return {
+      provider: provider.name,
+      ...claims,
+      ...taskBinding,
+      policy,
+      isValid:
+        claims.isValid && taskBinding.isBound && policyReasons.length === 0,
+      rejectionReasons: [
+        ...claims.rejectionReasons,
+        ...taskBinding.bindingReasons,
+        ...policyReasons,
+      ],
+      attestors: [
+        ...new Set([...prAttestation.signers, ...userAttestation.signers]),
+      ],
+    };
+  }
+
+  /**
+   * Re-check the proofs embedded in a submitted zkProof, for audits
+   * Runs the schema, attestor and merge/identity checks and compares the
+   * proven PR and user endpoint with the task's; freshness is not re-checked
+   * after the fact
+   * Attestation is null when no attestors are configured
+   */
+  recheckProofs(prProofData, userProofData, prLink) {
+    const provider = this._validatePRLink(prLink);
+    const prProof = ZKTLSProof.fromPR(prProofData, provider);
+    const userProof = ZKTLSProof.fromUser(userProofData, provider);
+
+    let attestation = null;
+    if (this.attestorVerifier.attestors.size > 0) {
+      try {
+        const signers = [prProof, userProof].flatMap(
+          (proof) => this.attestorVerifier.verify(proof).signers
+        );
+        attestation = { trusted: true, signers: [...new Set(signers)] };
+      } catch (error) {
+        if (!(error instanceof ProofSignatureError)) throw error;
+        attestation = { trusted: false, error: error.message };
+      }
     }
 
-    const prProofDataContext = this._parseJSONSafely(matches[0][1]);
-    const userProofDataContext = this._parseJSONSafely(matches[1][1]);
+    const claims = this._verifyProofData(prProof, userProof);
+    const isUrlMatch = isSamePR(
+      parsePRTarget(prProof.url),
+      parsePRTarget(prLink)
+    );
+    const isUserEndpoint = this._isUserEndpoint(
+      provider,
+      userProof,
+      parsePRTarget(prLink)
+    );
+
+    return {
+      provider: provider.name,
+      ...claims,
+      isUrlMatch,
+      isUserEndpoint,
+      isValid: claims.isValid && isUrlMatch && isUserEndpoint,
+      attestation,
+    };
+  }
 
-    const prProofString = JSON.stringify(prProofDataContext);
-    const userProofString = JSON.stringify(userProofDataContext);
+  /**
+   * Fields visible to policy rules: pr.*, user.* (extracted proof parameters),
+   * task.* and issue.*
+   */
+  _buildPolicyContext(
+    prProof,
+    userProof,
+    { prLink, issueRepository, issueCreatedAt }
+  ) {
+    const target = parsePRTarget(prLink);
 
-    return this._verifyProofData(prProofString, userProofString);
+    return {
+      pr: prProof.extracted,
+      user: userProof.extracted,
+      task: {
+        prLink,
+        provider: target ? target.provider : null,
+        host: target ? target.host : null,
+        repository: target ? `${target.owner}/${target.repo}` : null,
+        number: target ? target.number : null,
+      },
+      issue: {
+        repository: issueRepository,
+        createdAt: issueCreatedAt,
+      },
+    };
   }
 
   /**
-   * Parse JSON string safely with escaped quotes handling
+   * Check the PR proof is about this task's PR and in the issue's repo, the
+   * user proof is of the provider's authenticated-user endpoint, and both
+   * are recent
+   * A repository check is skipped (null) when the issue repo is unknown
    */
-  _parseJSONSafely(jsonString) {
-    try {
-      const cleanedString = jsonString.replace(/\\"/g, '"');
-      return JSON.parse(cleanedString);
-    } catch (error) {
-      console.error("Error parsing JSON:", error);
-      return {};
-    }
+  _verifyTaskBinding(
+    provider,
+    prProof,
+    userProof,
+    { prLink, issueRepository }
+  ) {
+    const proofTarget = parsePRTarget(prProof.url);
+    const taskTarget = parsePRTarget(prLink);
+
+    const isUrlMatch = isSamePR(proofTarget, taskTarget);
+    const isUserEndpoint = this._isUserEndpoint(
+      provider,
+      userProof,
+      taskTarget
+    );
+
+    const proofAge = this._proofAge(prProof);
+    const isFresh = this._isFresh(proofAge);
+    const userProofAge = this._proofAge(userProof);
+    const isUserFresh = this._isFresh(userProofAge);
+
+    const expectedRepo = parseRepository(issueRepository);
+    const isRepoMatch =
+      expectedRepo === null
+        ? null
+        : !!taskTarget &&
+          (expectedRepo.host === null ||
+            expectedRepo.host === taskTarget.host) &&
+          expectedRepo.owner === taskTarget.owner &&
+          expectedRepo.repo === taskTarget.repo;
+
+    const bindingReasons = [];
+    if (!isUrlMatch) bindingReasons.push("pr_link_mismatch");
+    if (!isFresh) bindingReasons.push("proof_expired");
+    if (!isUserEndpoint) bindingReasons.push("user_endpoint_mismatch");
+    if (!isUserFresh) bindingReasons.push("user_proof_expired");
+    if (isRepoMatch === false) bindingReasons.push("repository_mismatch");
+
+    return {
+      isUrlMatch,
+      isFresh,
+      isUserEndpoint,
+      isUserFresh,
+      isRepoMatch,
+      proofUrl: prProof.url,
+      proofAge,
+      userProofUrl: userProof.url,
+      userProofAge,
+      isBound: bindingReasons.length === 0,
+      bindingReasons,
+    };
+  }
+
+  /**
+   * The user proof must be the exact authenticated-user request of the
+   * provider (and host) serving the task's PR
+   */
+  _isUserEndpoint(provider, userProof, taskTarget) {
+    return !!taskTarget && userProof.url === provider.userEndpoint(taskTarget);
   }
 
   /**
-   * Verify proof data using regex matching
+   * Seconds since the proof's attestation, null without a timestamp
    */
-  _verifyProofData(prProofString, userProofString) {
-    const mergedRegex = /"merged"\s*:\s*"(\w+)"/;
-    const loginRegex = /"login"\s*:\s*"([^"]+)"/;
-    const idRegex = /"id"\s*:\s*"(\d+)"/;
-
-    const prMergedMatch = prProofString.match(mergedRegex);
-    const prLoginMatch = prProofString.match(loginRegex);
-    const prIdMatch = prProofString.match(idRegex);
-    const userLoginMatch = userProofString.match(loginRegex);
-    const userIdMatch = userProofString.match(idRegex);
-
-    const isMerged = prMergedMatch ? prMergedMatch[1] === "true" : false;
-    const isValidUser =
-      prLoginMatch && userLoginMatch
-        ? prLoginMatch[1] === userLoginMatch[1]
-        : false;
-    const isValidId =
-      prIdMatch && userIdMatch ? prIdMatch[1] === userIdMatch[1] : false;
-
-    const githubUsername = prLoginMatch ? prLoginMatch[1] : "unknown";
-    const githubUserId = prIdMatch ? prIdMatch[1] : "unknown";
-    const userLogin = userLoginMatch ? userLoginMatch[1] : "unknown";
-    const userId = userIdMatch ? userIdMatch[1] : "unknown";
+  _proofAge(proof) {
+    return proof.timestampS !== null
+      ? Math.floor(this.now() / 1000) - proof.timestampS
+      : null;
+  }
+
+  _isFresh(proofAge) {
+    return (
+      proofAge !== null &&
+      proofAge <= CONFIG.proofMaxAge &&
+      proofAge >= -PROOF_CLOCK_SKEW
+    );
+  }
+
+  /**
+   * Verify parsed proof claims: PR merged and authored by the token owner
+   */
+  _verifyProofData(prProof, userProof) {
+    const isMerged = prProof.merged;
+    const isValidUser = prProof.login === userProof.login;
+    const isValidId = prProof.id === userProof.id;
 
     const isValid = isMerged && isValidUser && isValidId;
 
+    // Deterministic grounds for rejection, recorded in the zkProof
+    const rejectionReasons = [];
+    if (!isMerged) rejectionReasons.push("pr_not_merged");
+    if (!isValidUser || !isValidId) rejectionReasons.push("identity_mismatch");
+
     return {
       isMerged,
       isValidUser,
       isValidId,
-      githubUsername,
-      githubUserId,
-      userLogin,
-      userId,
+      githubUsername: prProof.login,
+      githubUserId: prProof.id,
+      userLogin: userProof.login,
+      userId: userProof.id,
       isValid,
+      rejectionReasons,
     };
   }
 
@@ -192,15 +540,41 @@ class ZKTLSValidator {
    * Log verification result
    */
   _logVerificationResult(result) {
-    console.log(`   ✅ zkTLS Operator Verification:`);
-    console.log(`      - isMerged: ${result.isMerged}`);
-    console.log(
+    logger.info(`   ✅ zkTLS Operator Verification:`);
+    logger.info(`      - isMerged: ${result.isMerged}`);
+    logger.info(
       `      - isValidUser: ${result.isValidUser} (PR: ${result.githubUsername}, User: ${result.userLogin})`
     );
-    console.log(
+    logger.info(
       `      - isValidId: ${result.isValidId} (PR: ${result.githubUserId}, User: ${result.userId})`
     );
-    console.log(`      - Overall Valid: ${result.isValid ? "✅" : "❌"}`);
+    logger.info(
+      `      - isUrlMatch: ${result.isUrlMatch} (Proof: ${result.proofUrl})`
+    );
+    logger.info(
+      `      - isFresh: ${result.isFresh} (Age: ${result.proofAge}s)`
+    );
+    logger.info(
+      `      - isUserEndpoint: ${result.isUserEndpoint} (Proof: ${result.userProofUrl})`
+    );
+    logger.info(
+      `      - isUserFresh: ${result.isUserFresh} (Age: ${result.userProofAge}s)`
+    );
+    logger.info(
+      `      - isRepoMatch: ${
+        result.isRepoMatch === null
+          ? "n/a (issue repo unknown)"
+          : result.isRepoMatch
+      }`
+    );
+    for (const rule of result.policy) {
+      const status = rule.passed === null ? "❔" : rule.passed ? "✅" : "❌";
+      logger.info(`      - policy ${rule.id}: ${status} (${rule.detail})`);
+    }
+    if (result.rejectionReasons.length > 0) {
+      logger.info(`      - Reasons: ${result.rejectionReasons.join(", ")}`);
+    }
+    logger.info(`      - Overall Valid: ${result.isValid ? "✅" : "❌"}`);
   }
 
   /**
@@ -213,6 +587,7 @@ class ZKTLSValidator {
           prProof: prProofData,
           userProof: userProofData,
           verified: {
+            provider: verificationResult.provider,
             isMerged: verificationResult.isMerged,
             isValidUser: verificationResult.isValidUser,
             isValidId: verificationResult.isValidId,
@@ -220,7 +595,19 @@ class ZKTLSValidator {
             githubUserId: verificationResult.githubUserId,
             userLogin: verificationResult.userLogin,
             userId: verificationResult.userId,
-            timestamp: Date.now(),
+            rejectionReasons: verificationResult.rejectionReasons,
+            attestors: verificationResult.attestors,
+            isUrlMatch: verificationResult.isUrlMatch,
+            isFresh: verificationResult.isFresh,
+            isUserEndpoint: verificationResult.isUserEndpoint,
+            isUserFresh: verificationResult.isUserFresh,
+            isRepoMatch: verificationResult.isRepoMatch,
+            proofUrl: verificationResult.proofUrl,
+            proofAge: verificationResult.proofAge,
+            userProofUrl: verificationResult.userProofUrl,
+            userProofAge: verificationResult.userProofAge,
+            policy: verificationResult.policy,
+            timestamp: this.now(),
           },
         })
       )
@@ -228,42 +615,40 @@ class ZKTLSValidator {
   }
 
   /**
-   * Fallback verification using GitHub API
+   * Fallback verification using the provider's public API
    * Kept for backward compatibility but should not be used in production
    */
   async fallbackVerification(prLink) {
     try {
-      console.log("   ⚠️  Using fallback verification...");
+      logger.warn("   ⚠️  Using fallback verification...");
 
-      const match = prLink.match(
-        /github\.com\/([^\/]+)\/([^\/]+)\/pull\/(\d+)/
-      );
-      if (!match) {
+      const target = parsePRTarget(prLink);
+      if (!target) {
         return { isValid: false, zkProof: "0x" };
       }
 
-      const [, owner, repo, prNumber] = match;
+      const provider = resolveProvider(prLink);
+      const request = provider.fallbackRequest(target);
 
-      const response = await axios.get(
-        `https://api.github.com/repos/${owner}/${repo}/pulls/${prNumber}`,
-        {
-          headers: {
-            Accept: "application/vnd.github.v3+json",
-            "User-Agent": "zkPull-Operator-Bot",
-          },
-        }
-      );
+      const response = await axios.get(request.url, {
+        headers: {
+          ...request.headers,
+          "User-Agent": "zkPull-Operator-Bot",
+        },
+      });
 
-      const merged = response.data.merged === true;
+      const merged = provider.isMerged(response.data);
 
       return {
         isValid: merged,
         zkProof: ethers.utils.hexlify(
-          ethers.utils.toUtf8Bytes(JSON.stringify({ fallback: true, merged }))
+          ethers.utils.toUtf8Bytes(
+            JSON.stringify({ fallback: true, provider: provider.name, merged })
+          )
         ),
       };
     } catch (error) {
-      console.error("   ❌ Fallback verification failed:", error.message);
+      logger.error(`   ❌ Fallback verification failed: ${error.message}`);
       return { isValid: false, zkProof: "0x" };
     }
   }
@@ -0,0 +1,374 @@
+/**
+ * Watchdog for other operators' validations
+ * Re-verifies validated tasks independently and reports, or disputes,
+ * results the evidence contradicts
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const {
+  CONFIG,
+  TASK_STATUS,
+  JOURNAL_STATES,
+  WATCHDOG_MODES,
+  WATCHDOG_OUTCOMES,
+} = require("./operator.constants");
+const { decodeZKProof, ZKPROOF_KINDS } = require("./operator.zkproof");
+const { logger } = require("../shared/logger");
+
+// Rejection grounds the proofs themselves can confirm or refute
+const EVIDENCE_REASONS = [
+  "pr_not_merged",
+  "identity_mismatch",
+  "pr_link_mismatch",
+  "user_endpoint_mismatch",
+];
+
+class Watchdog {
+  /**
+   * operatorAddresses are every identity the bot runs; the first one, whose
+   * repository is given, opens disputes
+   */
+  constructor(
+    repository,
+    validator,
+    auditor,
+    journal,
+    metrics,
+    operatorAddresses,
+    mode = CONFIG.watchdogMode
+  ) {
+    this.repository = repository;
+    this.validator = validator;
+    this.auditor = auditor;
+    this.journal = journal;
+    this.metrics = metrics;
+    this.operatorAddress = operatorAddresses[0];
+    this.ownAddresses = operatorAddresses.map((address) =>
+      address.toLowerCase()
+    );
+    this.mode = mode;
+    this.reportPath = path.resolve(CONFIG.watchdogReportPath);
+    this.counts = {
+      [WATCHDOG_OUTCOMES.AGREE]: 0,
+      [WATCHDOG_OUTCOMES.DISAGREE]: 0,
+      [WATCHDOG_OUTCOMES.INCONCLUSIVE]: 0,
+      disputes: 0,
+    };
+    // taskId -> failed review runs, reset on restart
+    this.attempts = new Map();
+    this.isStopped = false;
+
+    this._validateConfig();
+  }
+
+  /**
+   * Review seen tasks another operator has validated, at most
+   * WATCHDOG_MAX_REVIEWS per run
+   * Tasks stay "seen" until reviewed, so each is reviewed once; a review
+   * failing WATCHDOG_MAX_ATTEMPTS runs is recorded as inconclusive
+   */
+  async review() {
+    const seen = this.journal.getTasksInState(JOURNAL_STATES.SEEN);
+    let reviewed = 0;
+
+    for (const taskId of seen) {
+      if (this.isStopped || reviewed >= CONFIG.watchdogMaxReviews) {
+        break;
+      }
+
+      let task = null;
+      try {
+        task = await this.repository.getTask(taskId);
+        if (task.status !== TASK_STATUS.VALIDATED) {
+          continue;
+        }
+        // Validated by one of this bot's identities, nothing to review
+        if (this._isMine(task.assignedOperator)) {
+          this.journal.record(taskId, JOURNAL_STATES.VALIDATED);
+          continue;
+        }
+
+        reviewed++;
+        await logger.withContext({ taskId }, () =>
+          this._reviewTask(taskId, task)
+        );
+      } catch (error) {
+        logger.error(`❌ Watchdog error on task #${taskId}: ${error.message}`);
+        if (task) {
+          this._retryLater(taskId, task, error.message);
+        }
+      }
+    }
+  }
+
+  /**
+   * Finish the current review and start no other
+   */
+  stop() {
+    this.isStopped = true;
+  }
+
+  async _reviewTask(taskId, task) {
+    logger.info(`\n🐕 Watchdog reviewing task #${taskId}`);
+    logger.info(`   Operator: ${task.assignedOperator}`);
+
+    const audit = await this.auditor.audit(taskId);
+    const ours = await this._reverify(task);
+
+    const outcome = this._compare(audit, ours);
+    this.counts[outcome]++;
+    this.metrics.watchdogReviews.inc({ outcome });
+
+    let dispute = null;
+    if (outcome === WATCHDOG_OUTCOMES.DISAGREE) {
+      const bundle = this._buildEvidence(taskId, task, audit, ours);
+      dispute = await this._report(taskId, task, bundle);
+    } else {
+      logger.info(`   🐕 Outcome: ${outcome}`);
+    }
+
+    this.journal.record(taskId, JOURNAL_STATES.REVIEWED, {
+      outcome,
+      assignedOperator: task.assignedOperator,
+      submitted: audit.result ? audit.result.isValid : null,
+      reverified: ours.isValid,
+      disputeTx: dispute ? dispute.transactionHash : undefined,
+    });
+    this.attempts.delete(taskId);
+  }
+
+  /**
+   * Spend one attempt of the task's retry budget; once spent the task is
+   * recorded as inconclusive and leaves review
+   */
+  _retryLater(taskId, task, reason) {
+    const attempts = (this.attempts.get(taskId) || 0) + 1;
+    if (attempts < CONFIG.watchdogMaxAttempts) {
+      this.attempts.set(taskId, attempts);
+      logger.warn(
+        `   🐕 Review of task #${taskId} failed (attempt ${attempts}/${CONFIG.watchdogMaxAttempts}), retrying next run`
+      );
+      return;
+    }
+
+    this.attempts.delete(taskId);
+    this.counts[WATCHDOG_OUTCOMES.INCONCLUSIVE]++;
+    this.metrics.watchdogReviews.inc({
+      outcome: WATCHDOG_OUTCOMES.INCONCLUSIVE,
+    });
+    logger.warn(
+      `   🐕 Giving up on task #${taskId} after ${attempts} attempts, inconclusive`
+    );
+
+    this.journal.record(taskId, JOURNAL_STATES.REVIEWED, {
+      outcome: WATCHDOG_OUTCOMES.INCONCLUSIVE,
+      assignedOperator: task.assignedOperator,
+      error: reason,
+    });
+  }
+
+  /**
+   * Independent zkTLS verification with the claim's token
+   * Transient failures throw and spend the task's retry budget; any other
+   * failure is inconclusive because the token or PR may have changed since
+   * the validation
+   */
+  async _reverify(task) {
+    const claim = await this.repository.getClaim(task.issueId, task.claimIndex);
+    const accessToken = claim[5] || "";
+    logger.addSecret(accessToken);
+
+    try {
+      const issueRepository = await this.repository.getIssueRepository(
+        task.issueId
+      );
+      const issueCreatedAt = await this.repository.getIssueCreatedAt(
+        task.issueId
+      );
+
+      const { zkProof } = await this.validator.verifyPR(
+        task.prLink,
+        accessToken,
+        { issueRepository, issueCreatedAt }
+      );
+      const { verified } = decodeZKProof(zkProof).data;
+
+      // Only evidence both operators can see counts: merge state, identity
+      // and PR link; local policy and freshness settings do not
+      return {
+        isValid:
+          verified.isMerged &&
+          verified.isValidUser &&
+          verified.isValidId &&
+          verified.isUrlMatch &&
+          verified.isUserEndpoint,
+        zkProof,
+      };
+    } catch (error) {
+      if (error.isTransient) {
+        throw error;
+      }
+      return { isValid: null, error: error.reason || error.message };
+    }
+  }
+
+  _compare(audit, ours) {
+    const submitted = audit.result ? audit.result.isValid : null;
+    if (submitted === null || ours.isValid === null) {
+      return WATCHDOG_OUTCOMES.INCONCLUSIVE;
+    }
+
+    if (submitted === ours.isValid) {
+      return WATCHDOG_OUTCOMES.AGREE;
+    }
+
+    // A rejection resting on grounds the proofs cannot refute
+    // (policy, freshness, duplicate claims, claim mismatch) is not disputed
+    if (submitted === false && this._declaresOtherGrounds(audit)) {
+      return WATCHDOG_OUTCOMES.AGREE;
+    }
+
+    return WATCHDOG_OUTCOMES.DISAGREE;
+  }
+
+  _declaresOtherGrounds(audit) {
+    if (audit.kind === ZKPROOF_KINDS.ERROR) {
+      return true;
+    }
+
+    const verified = audit.data && audit.data.verified;
+    const reasons =
+      verified && Array.isArray(verified.rejectionReasons)
+        ? verified.rejectionReasons
+        : [];
+    return reasons.some((reason) => !EVIDENCE_REASONS.includes(reason));
+  }
+
+  /**
+   * Evidence bundle: the disputed submission with its audit, and our
+   * independent verification with its proofs
+   */
+  _buildEvidence(taskId, task, audit, ours) {
+    return {
+      version: 1,
+      taskId: taskId.toString(),
+      issueId: task.issueId.toString(),
+      claimIndex: task.claimIndex.toString(),
+      prLink: task.prLink,
+      accusedOperator: task.assignedOperator,
+      challenger: this.operatorAddress,
+      submitted: {
+        isValid: audit.result.isValid,
+        source: audit.result.source,
+        zkProof: task.zkProof,
+        kind: audit.kind,
+        auditFlags: audit.flags,
+        evidence: audit.evidence,
+      },
+      reverification: {
+        isValid: ours.isValid,
+        zkProof: ours.zkProof,
+      },
+      createdAt: Date.now(),
+    };
+  }
+
+  /**
+   * Write the evidence bundle and, in dispute mode, open the dispute
+   */
+  async _report(taskId, task, bundle) {
+    const evidence = ethers.utils.hexlify(
+      ethers.utils.toUtf8Bytes(JSON.stringify(bundle))
+    );
+    const evidenceHash = ethers.utils.keccak256(evidence);
+
+    const describe = (isValid) => (isValid ? "VALID" : "INVALID");
+    logger.warn(
+      `   🚨 Disagreement: submitted ${describe(
+        bundle.submitted.isValid
+      )}, re-verification says ${describe(bundle.reverification.isValid)}`
+    );
+    if (bundle.submitted.auditFlags.length > 0) {
+      logger.warn(`   Audit flags: ${bundle.submitted.auditFlags.join(", ")}`);
+    }
+
+    let receipt = null;
+    if (this.mode === WATCHDOG_MODES.DISPUTE) {
+      try {
+        receipt = await this.repository.openDispute(taskId, evidence);
+        this.counts.disputes++;
+        this.metrics.disputesOpened.inc();
+        logger.warn(`   ⚖️  Dispute opened (Tx: ${receipt.transactionHash})`);
+      } catch (error) {
+        logger.error(`   ❌ Failed to open dispute: ${error.message}`);
+      }
+    } else {
+      logger.warn(`   📝 Report-only mode, no dispute opened`);
+    }
+
+    fs.mkdirSync(path.dirname(this.reportPath), { recursive: true });
+    fs.appendFileSync(
+      this.reportPath,
+      JSON.stringify({
+        ...bundle,
+        evidenceHash,
+        disputeTx: receipt ? receipt.transactionHash : null,
+      }) + "\n"
+    );
+
+    return receipt;
+  }
+
+  _isMine(address) {
+    return this.ownAddresses.includes(address.toLowerCase());
+  }
+
+  /**
+   * Dispute mode needs a (uint256, bytes) method and a contract to call
+   */
+  _validateConfig() {
+    if (!Object.values(WATCHDOG_MODES).includes(this.mode)) {
+      throw new Error(
+        `WATCHDOG_MODE "${this.mode}" must be one of ${Object.values(
+          WATCHDOG_MODES
+        ).join(", ")}`
+      );
+    }
+
+    if (this.mode !== WATCHDOG_MODES.DISPUTE) return;
+
+    if (!CONFIG.disputeMethod) {
+      throw new Error(
+        "WATCHDOG_MODE=dispute requires WATCHDOG_DISPUTE_METHOD"
+      );
+    }
+
+    let fragment;
+    try {
+      fragment = ethers.utils.FunctionFragment.from(CONFIG.disputeMethod);
+    } catch (error) {
+      throw new Error(
+        `WATCHDOG_DISPUTE_METHOD is not a function signature: ${error.message}`
+      );
+    }
+
+    const types = fragment.inputs.map((input) => input.type).join(",");
+    if (types !== "uint256,bytes") {
+      throw new Error(
+        `WATCHDOG_DISPUTE_METHOD must take (uint256, bytes), got (${types})`
+      );
+    }
+
+    try {
+      ethers.utils.parseEther(CONFIG.disputeBond);
+    } catch (error) {
+      throw new Error(
+        `WATCHDOG_DISPUTE_BOND "${CONFIG.disputeBond}" is not an amount`
+      );
+    }
+  }
+}
+
+module.exports = { Watchdog };
@@ -0,0 +1,84 @@
+/**
+ * Encoder/decoder for zkProof bytes stored on-chain with a validation
+ * Recognizes the payloads produced by the validator and the service
+ */
+
+const { ethers } = require("ethers");
+
+const ZKPROOF_KINDS = {
+  EMPTY: "empty",
+  ZKTLS: "zktls",
+  ERROR: "error",
+  FALLBACK: "fallback",
+  UNKNOWN: "unknown",
+};
+
+/**
+ * Encode a permanent verification failure as a rejection zkProof
+ * This allows the task to be rejected rather than retried infinitely
+ */
+function encodeErrorProof(error, operatorAddress, timestamp = Date.now()) {
+  const errorData = {
+    error: true,
+    message: error.message,
+    timestamp,
+    operator: operatorAddress,
+    reason: error.reason || "verification_failed",
+    failureClass: error.failureClass,
+    details: error.details || undefined,
+  };
+
+  return ethers.utils.hexlify(
+    ethers.utils.toUtf8Bytes(JSON.stringify(errorData))
+  );
+}
+
+/**
+ * Decode hex-encoded JSON into { kind, impliedValid, data }
+ * impliedValid is the outcome the embedded evidence claims, null if unknown
+ */
+function decodeZKProof(zkProof) {
+  if (!zkProof || zkProof === "0x") {
+    return { kind: ZKPROOF_KINDS.EMPTY, impliedValid: null, data: null };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(ethers.utils.toUtf8String(zkProof));
+  } catch (error) {
+    return { kind: ZKPROOF_KINDS.UNKNOWN, impliedValid: null, data: null };
+  }
+
+  if (data && data.error === true) {
+    return { kind: ZKPROOF_KINDS.ERROR, impliedValid: false, data };
+  }
+
+  if (data && data.fallback === true) {
+    return {
+      kind: ZKPROOF_KINDS.FALLBACK,
+      impliedValid: data.merged === true,
+      data,
+    };
+  }
+
+  if (data && data.verified && typeof data.verified === "object") {
+    const verified = data.verified;
+    const reasons = Array.isArray(verified.rejectionReasons)
+      ? verified.rejectionReasons
+      : [];
+
+    return {
+      kind: ZKPROOF_KINDS.ZKTLS,
+      impliedValid:
+        verified.isMerged === true &&
+        verified.isValidUser === true &&
+        verified.isValidId === true &&
+        reasons.length === 0,
+      data,
+    };
+  }
+
+  return { kind: ZKPROOF_KINDS.UNKNOWN, impliedValid: null, data };
+}
+
+module.exports = { encodeErrorProof, decodeZKProof, ZKPROOF_KINDS };
@@ -0,0 +1,292 @@
+/**
+ * Controller for the offline verify command
+ * Re-runs validation for one task or PR link and prints the zkProof that
+ * would be submitted, without sending any transaction
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { OperatorRepository } = require("./operator.repository");
+const { OperatorService } = require("./operator.service");
+const { ZKTLSValidator } = require("./operator.validator");
+const { TaskJournal } = require("./operator.journal");
+const { PRIndex } = require("./operator.prindex");
+const { OperatorMetrics } = require("./operator.metrics");
+const { CONFIG, FAILURE_CLASSES } = require("./operator.constants");
+const { encodeErrorProof, decodeZKProof } = require("./operator.zkproof");
+const { createProvider, verifyChainId } = require("../shared/provider");
+const { requireSettings } = require("../shared/config");
+const { readSignerAddress } = require("../shared/signer");
+const { logger } = require("../shared/logger");
+
+const USAGE = `Usage:
+  npm run verify -- --task <id> [--save-response <file>] [--replay <file>]
+  npm run verify -- --pr <url> [--token-file <file>]
+                    [--issue-repo <owner/repo>] [--issue-created-at <unix>]
+                    [--save-response <file>] [--replay <file>]
+  npm run verify -- --replay <file>`;
+
+class VerifyController {
+  constructor(argv) {
+    this.options = this._parseArgs(argv);
+    this.fixture = this.options.replay
+      ? this._readFixture(this.options.replay)
+      : null;
+    this.metrics = new OperatorMetrics();
+    this.lastResponse = null;
+
+    // The fixture's recording time keeps freshness checks reproducible
+    this.validator = new ZKTLSValidator(this.metrics, {
+      fixture: this.fixture ? this.fixture.response : null,
+      onResponse: (response) => {
+        this.lastResponse = { recordedAt: Date.now(), response };
+      },
+      now: this.fixture ? () => this.fixture.recordedAt : null,
+    });
+  }
+
+  async execute() {
+    logger.info("\n🔎 zkTLS verification (dry run, nothing is submitted)\n");
+    this.operatorAddress = await this._operatorAddress();
+
+    const result = this.options.task
+      ? await this._verifyTask(this.options.task)
+      : await this._verifyPR();
+
+    this._saveResponse(result);
+
+    if (result.zkProof === null) {
+      logger.warn("\n⚠️  Transient failure: the bot would retry, not submit");
+      return result;
+    }
+
+    this._printResult(result);
+    return result;
+  }
+
+  /**
+   * Load task and claim from chain, then run the bot's full evaluation
+   * (claim cross-check, duplicate PR check, zkTLS verification)
+   */
+  async _verifyTask(taskId) {
+    requireSettings("rpcUrls", "avsAddress");
+    logger.info(`📍 Task: #${taskId}`);
+    logger.info(`📍 Network: ${CONFIG.network.name}`);
+    logger.info(`📍 AVS Contract: ${CONFIG.avsAddress}`);
+
+    const provider = createProvider({
+      urls: CONFIG.rpcUrls,
+      quorum: CONFIG.rpcQuorum,
+      stallTimeout: CONFIG.rpcStallTimeout,
+    });
+    await verifyChainId(provider, CONFIG.network);
+    const signer = new ethers.VoidSigner(this.operatorAddress, provider);
+    const repository = new OperatorRepository(provider, signer);
+
+    const journal = new TaskJournal(CONFIG.journalPath);
+    if (fs.existsSync(journal.filePath)) {
+      journal.load();
+    }
+    const prIndex = new PRIndex(repository, journal);
+    prIndex.load();
+
+    const service = new OperatorService(
+      repository,
+      this.validator,
+      signer.address,
+      journal,
+      this.metrics,
+      prIndex
+    );
+
+    const task = await repository.getTask(taskId);
+    logger.info(`   PR Link: ${task.prLink}`);
+    logger.info(`   Developer: ${task.developer}`);
+    logger.info(`   Status: ${task.status}`);
+
+    const claim = await service.getClaim(task);
+    logger.addSecret(claim.accessToken);
+    logger.info(
+      `   Access Token: ${claim.accessToken ? "(provided)" : "(none)"}`
+    );
+
+    try {
+      const { isValid, zkProof } = await service.evaluateTask(
+        taskId,
+        task,
+        claim
+      );
+      return { prLink: task.prLink, isValid, zkProof };
+    } catch (error) {
+      return { prLink: task.prLink, ...this._handleFailure(error) };
+    } finally {
+      journal.close();
+    }
+  }
+
+  /**
+   * Run the validator pipeline on a PR link, no chain access needed
+   */
+  async _verifyPR() {
+    const fixture = this.fixture || {};
+    const prLink = this.options.pr || fixture.prLink;
+    const issueRepository =
+      this.options.issueRepo || fixture.issueRepository || null;
+    const issueCreatedAt =
+      this.options.issueCreatedAt || fixture.issueCreatedAt || null;
+
+    if (!prLink) {
+      this._fail("--pr <url> is required unless the fixture records one");
+    }
+
+    const accessToken = this.options.tokenFile
+      ? fs.readFileSync(this.options.tokenFile, "utf8").trim()
+      : "";
+    logger.addSecret(accessToken);
+
+    logger.info(`📍 PR Link: ${prLink}`);
+    logger.info(`📍 Issue repository: ${issueRepository || "(unknown)"}`);
+
+    try {
+      const { isValid, zkProof } = await this.validator.verifyPR(
+        prLink,
+        accessToken,
+        { issueRepository, issueCreatedAt }
+      );
+      return { prLink, issueRepository, issueCreatedAt, isValid, zkProof };
+    } catch (error) {
+      return {
+        prLink,
+        issueRepository,
+        issueCreatedAt,
+        ...this._handleFailure(error),
+      };
+    }
+  }
+
+  /**
+   * Permanent failures become the rejection the bot would submit
+   */
+  _handleFailure(error) {
+    logger.error(`   ⚠️  Verification failed: ${error.message}`);
+
+    if (error.failureClass !== FAILURE_CLASSES.PERMANENT) {
+      return { isValid: false, zkProof: null, error };
+    }
+
+    return {
+      isValid: false,
+      zkProof: encodeErrorProof(error, this.operatorAddress),
+      error,
+    };
+  }
+
+  _printResult({ isValid, zkProof }) {
+    const decoded = decodeZKProof(zkProof);
+
+    logger.info(
+      `\n📋 Would submit: ${isValid ? "✅ VALID" : "❌ INVALID"} (${
+        decoded.kind
+      } proof, ${ethers.utils.hexDataLength(zkProof)} bytes)`
+    );
+    logger.info("\nzkProof bytes:");
+    logger.info(zkProof);
+    logger.info("\nDecoded zkProof:");
+    logger.info(JSON.stringify(decoded.data, null, 2));
+  }
+
+  /**
+   * Write the raw zkTLS response with what is needed to replay it
+   */
+  _saveResponse({ prLink, issueRepository, issueCreatedAt }) {
+    if (!this.options.saveResponse) return;
+
+    if (!this.lastResponse) {
+      logger.warn("⚠️  No zkTLS response received, nothing saved");
+      return;
+    }
+
+    const filePath = path.resolve(this.options.saveResponse);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(
+      filePath,
+      JSON.stringify(
+        {
+          recordedAt: this.lastResponse.recordedAt,
+          prLink,
+          issueRepository: issueRepository || null,
+          issueCreatedAt: issueCreatedAt || null,
+          response: this.lastResponse.response,
+        },
+        null,
+        2
+      ) + "\n"
+    );
+    logger.info(`\n💾 zkTLS response saved to ${filePath}`);
+  }
+
+  _readFixture(filePath) {
+    let fixture;
+    try {
+      fixture = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      this._fail(`Cannot read fixture ${filePath}: ${error.message}`);
+    }
+
+    if (!fixture.response || typeof fixture.recordedAt !== "number") {
+      this._fail(`${filePath} is not a saved zkTLS response`);
+    }
+    return fixture;
+  }
+
+  /**
+   * Address recorded in rejection proofs; the signer is never unlocked
+   */
+  async _operatorAddress() {
+    return (
+      (await readSignerAddress(CONFIG.signer)) || ethers.constants.AddressZero
+    );
+  }
+
+  _parseArgs(argv) {
+    const flags = {
+      "--task": "task",
+      "--pr": "pr",
+      "--token-file": "tokenFile",
+      "--issue-repo": "issueRepo",
+      "--issue-created-at": "issueCreatedAt",
+      "--save-response": "saveResponse",
+      "--replay": "replay",
+    };
+
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+      const name = flags[argv[i]];
+      if (!name || argv[i + 1] === undefined) {
+        this._fail(`Unknown or incomplete option: ${argv[i]}`);
+      }
+      options[name] = argv[++i];
+    }
+
+    if (options.task && options.pr) {
+      this._fail("Use either --task or --pr, not both");
+    }
+    if (!options.task && !options.pr && !options.replay) {
+      this._fail("One of --task, --pr or --replay is required");
+    }
+    if (options.issueCreatedAt) {
+      options.issueCreatedAt = Number(options.issueCreatedAt);
+    }
+
+    return options;
+  }
+
+  _fail(message) {
+    logger.error(`❌ ${message}`);
+    logger.info(USAGE);
+    process.exit(1);
+  }
+}
+
+module.exports = { VerifyController };
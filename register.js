@@ -5,18 +5,38 @@
  * Entry point - delegates to modular implementation
  */
 
+const { logger } = require("./shared/logger");
+
+// Invalid settings throw while the configuration loads, before main runs
+if (require.main === module) {
+  try {
+    require("./shared/config");
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
 const { RegisterController } = require("./register/register.controller");
 
 async function main() {
-  const controller = new RegisterController();
+  const controller = await RegisterController.create();
   await controller.execute();
 }
 
 if (require.main === module) {
-  main().catch((error) => {
-    console.error("❌ Fatal error:", error);
-    process.exit(1);
-  });
+  main().catch(exitWithError);
+}
+
+/**
+ * Log a fatal error and exit; a ConfigError already lists every problem
+ */
+function exitWithError(error) {
+  logger.error(
+    error.name === "ConfigError"
+      ? `❌ ${error.message}`
+      : `❌ Fatal error: ${error.stack || error.message}`
+  );
+  process.exit(1);
 }
 
 module.exports = { RegisterController };
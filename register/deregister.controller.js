@@ -0,0 +1,124 @@
+/**
+ * Controller for operator deregistration flow
+ * Orchestrates stake withdrawal and exit from the AVS
+ */
+
+const { ethers } = require("ethers");
+const { RegisterRepository } = require("./register.repository");
+const { RegisterService } = require("./register.service");
+const { CONFIG } = require("./register.constants");
+const { createProvider, verifyChainId } = require("../shared/provider");
+const { requireSettings } = require("../shared/config");
+const { loadSigner } = require("../shared/signer");
+const { logger } = require("../shared/logger");
+
+class DeregisterController {
+  /**
+   * Unlock the configured signer, then build the controller around it
+   */
+  static async create() {
+    requireSettings("rpcUrls", "avsAddress");
+    const { signer, address } = await loadSigner(CONFIG.signer);
+    return new DeregisterController(signer, address);
+  }
+
+  constructor(signer, address) {
+    this.provider = createProvider({
+      urls: CONFIG.rpcUrls,
+      quorum: CONFIG.rpcQuorum,
+      stallTimeout: CONFIG.rpcStallTimeout,
+    });
+    this.signer = signer.connect(this.provider);
+    this.address = address;
+    this.repository = new RegisterRepository(this.provider, this.signer);
+    this.service = new RegisterService(this.repository, address);
+  }
+
+  async execute() {
+    logger.info("\n🚪 Deregistering zkTLS Operator...\n");
+    logger.info(`📍 Operator Address: ${this.address}`);
+    logger.info(`📍 Network: ${CONFIG.network.name}`);
+    logger.info(`📍 AVS Contract: ${CONFIG.avsAddress}\n`);
+    await verifyChainId(this.provider, CONFIG.network);
+
+    const tokenInfo = await this.service.getTokenInfo();
+    logger.info(`🪙 Stake Token: ${tokenInfo.symbol} (${tokenInfo.address})\n`);
+
+    const registered = await this._checkRegistration(tokenInfo.symbol);
+    if (!registered) {
+      return;
+    }
+
+    await this._ensureNoAssignedTasks();
+    await this._deregister(tokenInfo);
+  }
+
+  /**
+   * Check operator is currently registered
+   */
+  async _checkRegistration(tokenSymbol) {
+    const { isRegistered, operator } =
+      await this.service.checkExistingRegistration();
+
+    if (!isRegistered) {
+      logger.warn("⚠️  Operator is not registered, nothing to withdraw.");
+      return false;
+    }
+
+    logger.info("✅ Operator registered");
+    logger.info(
+      `   Stake: ${ethers.utils.formatEther(operator.stake)} ${tokenSymbol}`
+    );
+    logger.info(`   Tasks Completed: ${operator.tasksCompleted}`);
+    logger.info(`   Tasks Rejected: ${operator.tasksRejected}`);
+    return true;
+  }
+
+  /**
+   * Refuse to deregister while tasks are still assigned
+   */
+  async _ensureNoAssignedTasks() {
+    logger.info("\n📝 Checking assigned tasks...");
+
+    const assigned = await this.service.getAssignedTasks();
+
+    if (assigned.length > 0) {
+      logger.error(
+        `\n❌ Operator still has ${assigned.length} assigned task(s)!`
+      );
+      logger.error(
+        `   Tasks: ${assigned.map((taskId) => `#${taskId}`).join(", ")}`
+      );
+      logger.error("   Let the bot finish them before deregistering.");
+      process.exit(1);
+    }
+
+    logger.info("✅ No assigned tasks");
+  }
+
+  /**
+   * Deregister operator and report returned stake
+   */
+  async _deregister(tokenInfo) {
+    try {
+      logger.info("\n📝 Deregistering operator...");
+      logger.info("   Waiting for confirmation...");
+
+      const { receipt, stakeReturned } = await this.service.deregister();
+
+      logger.info("\n✅ Successfully deregistered!");
+      logger.info(`   Transaction: ${receipt.transactionHash}`);
+      logger.info(`   Block: ${receipt.blockNumber}`);
+      logger.info(
+        `   Stake Returned: ${ethers.utils.formatEther(stakeReturned)} ${
+          tokenInfo.symbol
+        } (${tokenInfo.address})`
+      );
+    } catch (error) {
+      logger.error(`\n❌ Deregistration failed: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = { DeregisterController };
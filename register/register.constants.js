@@ -2,20 +2,16 @@
  * Configuration and constants for operator registration
  */
 
-require("dotenv").config();
-
-const CONFIG = {
-  rpcUrl: process.env.MANTLE_SEPOLIA_RPC_URL,
-  privateKey: process.env.OPERATOR_PRIVATE_KEY,
-  avsAddress: process.env.AVS_CONTRACT_ADDRESS,
-  endpoint: process.env.OPERATOR_ENDPOINT || "http://localhost:3000",
-  stakeAmount: process.env.STAKE_AMOUNT || "100",
-};
+const { CONFIG } = require("../shared/config");
 
 const AVS_ABI = [
   "function registerOperator(string endpoint, uint256 stakeAmount) external",
   "function getOperator(address operator) external view returns (tuple(address operatorAddress, string endpoint, uint256 stake, bool isActive, uint256 tasksCompleted, uint256 tasksRejected, uint256 registeredAt))",
   "function stakeToken() external view returns (address)",
+  "function deregisterOperator() external",
+  "function getOperatorTasks(address operator) external view returns (uint256[])",
+  "function getTask(uint256 taskId) external view returns (tuple(uint256 taskId, uint256 issueId, uint256 claimIndex, string prLink, address developer, uint256 createdAt, uint8 status, address assignedOperator, bytes zkProof))",
+  "event OperatorDeregistered(address indexed operator, uint256 stakeReturned)",
 ];
 
 const ERC20_ABI = [
@@ -25,15 +21,15 @@ const ERC20_ABI = [
   "function symbol() external view returns (string)",
 ];
 
-const REQUIRED_ENV_VARS = [
-  "MANTLE_SEPOLIA_RPC_URL",
-  "OPERATOR_PRIVATE_KEY",
-  "AVS_CONTRACT_ADDRESS",
-];
+const TASK_STATUS = {
+  PENDING: 0,
+  ASSIGNED: 1,
+  VALIDATED: 2,
+};
 
 module.exports = {
   CONFIG,
   AVS_ABI,
   ERC20_ABI,
-  REQUIRED_ENV_VARS,
+  TASK_STATUS,
 };
@@ -6,22 +6,38 @@
 const { ethers } = require("ethers");
 const { RegisterRepository } = require("./register.repository");
 const { RegisterService } = require("./register.service");
-const { CONFIG, REQUIRED_ENV_VARS } = require("./register.constants");
+const { CONFIG } = require("./register.constants");
+const { createProvider, verifyChainId } = require("../shared/provider");
+const { requireSettings } = require("../shared/config");
+const { loadSigner } = require("../shared/signer");
+const { logger } = require("../shared/logger");
 
 class RegisterController {
-  constructor() {
-    this._validateEnvironment();
+  /**
+   * Unlock the configured signer, then build the controller around it
+   */
+  static async create() {
+    requireSettings("rpcUrls", "avsAddress");
+    const { signer, address } = await loadSigner(CONFIG.signer);
+    return new RegisterController(signer, address);
+  }
 
-    this.provider = new ethers.providers.JsonRpcProvider(CONFIG.rpcUrl);
-    this.wallet = new ethers.Wallet(CONFIG.privateKey, this.provider);
-    this.repository = new RegisterRepository(this.provider, this.wallet);
-    this.service = new RegisterService(this.repository, this.wallet.address);
+  constructor(signer, address) {
+    this.provider = createProvider({
+      urls: CONFIG.rpcUrls,
+      quorum: CONFIG.rpcQuorum,
+      stallTimeout: CONFIG.rpcStallTimeout,
+    });
+    this.signer = signer.connect(this.provider);
+    this.address = address;
+    this.repository = new RegisterRepository(this.provider, this.signer);
+    this.service = new RegisterService(this.repository, address);
   }
 
   async execute() {
     // Display ASCII art banner
-    console.log("\n");
-    console.log(`   ░███    ░██    ░██   ░██████        ░██████                                                ░██                        
+    logger.banner("\n");
+    logger.banner(`   ░███    ░██    ░██   ░██████        ░██████                                                ░██                        
   ░██░██   ░██    ░██  ░██   ░██      ░██   ░██                                               ░██                        
  ░██  ░██  ░██    ░██ ░██            ░██     ░██ ░████████   ░███████  ░██░████  ░██████   ░████████  ░███████  ░██░████ 
 ░█████████ ░██    ░██  ░████████     ░██     ░██ ░██    ░██ ░██    ░██ ░███           ░██     ░██    ░██    ░██ ░███     
@@ -31,13 +47,15 @@ class RegisterController {
                                                  ░██                                                                     
                                                  ░██                                                                     
                                                                                                                          `)
-    console.log("\n");
-    console.log("🚀 Registering as zkTLS Operator...\n");
+    logger.banner("\n");
+    logger.info("🚀 Registering as zkTLS Operator...\n");
 
     await this._displayConfiguration();
+    await verifyChainId(this.provider, CONFIG.network);
 
     const tokenInfo = await this.service.getTokenInfo();
-    console.log(`🪙 Stake Token: ${tokenInfo.symbol} (${tokenInfo.address})\n`);
+    logger.info(`🪙 Stake Token: ${tokenInfo.symbol} (${tokenInfo.address})`);
+    logger.info(`💰 Stake Amount: ${CONFIG.stakeAmount} ${tokenInfo.symbol}\n`);
 
     const existing = await this._checkExistingRegistration(tokenInfo.symbol);
     if (existing) {
@@ -49,27 +67,14 @@ class RegisterController {
     await this._register(tokenInfo.symbol);
   }
 
-  /**
-   * Validate required environment variables
-   */
-  _validateEnvironment() {
-    const missing = REQUIRED_ENV_VARS.filter((varName) => !process.env[varName]);
-
-    if (missing.length > 0) {
-      console.error("❌ Missing required environment variables");
-      console.error(`Required: ${missing.join(", ")}`);
-      process.exit(1);
-    }
-  }
-
   /**
    * Display configuration
    */
   async _displayConfiguration() {
-    console.log(`📍 Operator Address: ${this.wallet.address}`);
-    console.log(`📍 AVS Contract: ${CONFIG.avsAddress}`);
-    console.log(`📍 Endpoint: ${CONFIG.endpoint}`);
-    console.log(`💰 Stake Amount: ${CONFIG.stakeAmount} mUSD\n`);
+    logger.info(`📍 Operator Address: ${this.address}`);
+    logger.info(`📍 Network: ${CONFIG.network.name}`);
+    logger.info(`📍 AVS Contract: ${CONFIG.avsAddress}`);
+    logger.info(`📍 Endpoint: ${CONFIG.endpoint}\n`);
   }
 
   /**
@@ -80,12 +85,12 @@ class RegisterController {
       await this.service.checkExistingRegistration();
 
     if (isRegistered) {
-      console.log("✅ Already registered as operator!");
-      console.log(
+      logger.info("✅ Already registered as operator!");
+      logger.info(
         `   Stake: ${ethers.utils.formatEther(operator.stake)} ${tokenSymbol}`
       );
-      console.log(`   Tasks Completed: ${operator.tasksCompleted}`);
-      console.log(`   Tasks Rejected: ${operator.tasksRejected}`);
+      logger.info(`   Tasks Completed: ${operator.tasksCompleted}`);
+      logger.info(`   Tasks Rejected: ${operator.tasksRejected}`);
       return true;
     }
 
@@ -99,14 +104,14 @@ class RegisterController {
     const { hasEnough, balance, required } =
       await this.service.validateBalance(CONFIG.stakeAmount);
 
-    console.log(
+    logger.info(
       `💰 Your ${tokenSymbol} balance: ${ethers.utils.formatEther(balance)}`
     );
 
     if (!hasEnough) {
-      console.error(`\n❌ Insufficient ${tokenSymbol} balance!`);
-      console.error(`   Required: ${CONFIG.stakeAmount} ${tokenSymbol}`);
-      console.error(
+      logger.error(`\n❌ Insufficient ${tokenSymbol} balance!`);
+      logger.error(`   Required: ${CONFIG.stakeAmount} ${tokenSymbol}`);
+      logger.error(
         `   Available: ${ethers.utils.formatEther(balance)} ${tokenSymbol}`
       );
       process.exit(1);
@@ -117,15 +122,15 @@ class RegisterController {
    * Ensure token allowance
    */
   async _ensureAllowance(tokenSymbol) {
-    console.log(`\n📝 Checking ${tokenSymbol} allowance...`);
+    logger.info(`\n📝 Checking ${tokenSymbol} allowance...`);
 
     const result = await this.service.ensureAllowance(CONFIG.stakeAmount);
 
     if (result.alreadyApproved) {
-      console.log("✅ Allowance already approved");
+      logger.info("✅ Allowance already approved");
     } else {
-      console.log(`⏳ Approval transaction: ${result.transactionHash}`);
-      console.log("✅ Approval confirmed");
+      logger.info(`⏳ Approval transaction: ${result.transactionHash}`);
+      logger.info("✅ Approval confirmed");
     }
   }
 
@@ -134,22 +139,22 @@ class RegisterController {
    */
   async _register(tokenSymbol) {
     try {
-      console.log("\n📝 Registering operator...");
-      console.log("   Waiting for confirmation...");
+      logger.info("\n📝 Registering operator...");
+      logger.info("   Waiting for confirmation...");
 
       const receipt = await this.service.register(
         CONFIG.endpoint,
         CONFIG.stakeAmount
       );
 
-      console.log("\n✅ Successfully registered as operator!");
-      console.log(`   Transaction: ${receipt.transactionHash}`);
-      console.log(`   Block: ${receipt.blockNumber}`);
-      console.log(`   Staked: ${CONFIG.stakeAmount} ${tokenSymbol}`);
-      console.log("\n🎉 You can now start the operator bot:");
-      console.log("   npm start");
+      logger.info("\n✅ Successfully registered as operator!");
+      logger.info(`   Transaction: ${receipt.transactionHash}`);
+      logger.info(`   Block: ${receipt.blockNumber}`);
+      logger.info(`   Staked: ${CONFIG.stakeAmount} ${tokenSymbol}`);
+      logger.info("\n🎉 You can now start the operator bot:");
+      logger.info("   npm start");
     } catch (error) {
-      console.error("\n❌ Registration failed:", error.message);
+      logger.error(`\n❌ Registration failed: ${error.message}`);
       throw error;
     }
   }
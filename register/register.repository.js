@@ -7,13 +7,13 @@ const { ethers } = require("ethers");
 const { CONFIG, AVS_ABI, ERC20_ABI } = require("./register.constants");
 
 class RegisterRepository {
-  constructor(provider, wallet) {
+  constructor(provider, signer) {
     this.provider = provider;
-    this.wallet = wallet;
+    this.signer = signer;
     this.avsContract = new ethers.Contract(
       CONFIG.avsAddress,
       AVS_ABI,
-      wallet
+      signer
     );
     this.stakeToken = null;
   }
@@ -27,7 +27,7 @@ class RegisterRepository {
       this.stakeToken = new ethers.Contract(
         stakeTokenAddress,
         ERC20_ABI,
-        this.wallet
+        this.signer
       );
     }
     return this.stakeToken;
@@ -66,6 +66,36 @@ class RegisterRepository {
     const tx = await this.avsContract.registerOperator(endpoint, stakeAmount);
     return await tx.wait();
   }
+
+  async getOperatorTasks(address) {
+    return await this.avsContract.getOperatorTasks(address);
+  }
+
+  async getTask(taskId) {
+    return await this.avsContract.getTask(taskId);
+  }
+
+  async deregisterOperator() {
+    const tx = await this.avsContract.deregisterOperator();
+    return await tx.wait();
+  }
+
+  /**
+   * Extract returned stake from OperatorDeregistered event in receipt
+   */
+  parseStakeReturned(receipt) {
+    for (const log of receipt.logs || []) {
+      try {
+        const parsed = this.avsContract.interface.parseLog(log);
+        if (parsed.name === "OperatorDeregistered") {
+          return parsed.args.stakeReturned;
+        }
+      } catch (error) {
+        // Log emitted by another contract (e.g. stake token transfer)
+      }
+    }
+    return null;
+  }
 }
 
 module.exports = { RegisterRepository };
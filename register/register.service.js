@@ -4,7 +4,7 @@
  */
 
 const { ethers } = require("ethers");
-const { CONFIG } = require("./register.constants");
+const { CONFIG, TASK_STATUS } = require("./register.constants");
 
 class RegisterService {
   constructor(repository, operatorAddress) {
@@ -14,6 +14,8 @@ class RegisterService {
 
   /**
    * Check if operator is already registered
+   * Only a reverted getOperator means "not registered"; RPC failures are
+   * rethrown so deregister never reports a missing stake by mistake
    */
   async checkExistingRegistration() {
     try {
@@ -23,7 +25,10 @@ class RegisterService {
         operator,
       };
     } catch (error) {
-      return { isRegistered: false, operator: null };
+      if (error.code === ethers.errors.CALL_EXCEPTION) {
+        return { isRegistered: false, operator: null };
+      }
+      throw error;
     }
   }
 
@@ -71,6 +76,47 @@ class RegisterService {
     return await this.repository.registerOperator(endpoint, stakeAmountWei);
   }
 
+  /**
+   * Collect tasks still assigned to operator (blocks deregistration)
+   */
+  async getAssignedTasks() {
+    const taskIds = await this.repository.getOperatorTasks(
+      this.operatorAddress
+    );
+
+    const assigned = [];
+    for (const taskId of taskIds) {
+      const task = await this.repository.getTask(taskId);
+      if (task.status === TASK_STATUS.ASSIGNED) {
+        assigned.push(taskId);
+      }
+    }
+
+    return assigned;
+  }
+
+  /**
+   * Deregister operator and withdraw stake
+   * Returned stake is read from the event, falling back to balance delta
+   */
+  async deregister() {
+    const balanceBefore = await this.repository.getTokenBalance(
+      this.operatorAddress
+    );
+
+    const receipt = await this.repository.deregisterOperator();
+
+    let stakeReturned = this.repository.parseStakeReturned(receipt);
+    if (!stakeReturned) {
+      const balanceAfter = await this.repository.getTokenBalance(
+        this.operatorAddress
+      );
+      stakeReturned = balanceAfter.sub(balanceBefore);
+    }
+
+    return { receipt, stakeReturned };
+  }
+
   /**
    * Get token information
    */
@@ -0,0 +1,820 @@
+/**
+ * Shared configuration for operator and register modules
+ * Values come from built-in defaults, then the selected network profile, then
+ * CONFIG_FILE (YAML or JSON), then environment variables. Every value is
+ * validated, and errors name the setting, its file key and its variable
+ */
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { ethers } = require("ethers");
+
+const DEFAULT_ZKTLS_API_URL = "https://zkpull-services.up.railway.app";
+
+/**
+ * Built-in network profiles; CONFIG_FILE can extend them or add others
+ * under "networks". No AVS address is built in: deployments differ, so it
+ * comes from the file's profile or AVS_CONTRACT_ADDRESS
+ */
+const NETWORKS = {
+  "mantle-sepolia": {
+    chainId: 5003,
+    rpcUrls: ["https://rpc.sepolia.mantle.xyz"],
+    avsAddress: null,
+    zkTLSApiUrl: DEFAULT_ZKTLS_API_URL,
+  },
+  "mantle-mainnet": {
+    chainId: 5000,
+    rpcUrls: ["https://rpc.mantle.xyz"],
+    avsAddress: null,
+    zkTLSApiUrl: DEFAULT_ZKTLS_API_URL,
+  },
+  local: {
+    chainId: 31337,
+    rpcUrls: ["http://127.0.0.1:8545"],
+    avsAddress: null,
+    zkTLSApiUrl: DEFAULT_ZKTLS_API_URL,
+  },
+};
+
+const DEFAULT_NETWORK = "mantle-sepolia";
+
+const HTTP_PROTOCOLS = ["http:", "https:"];
+const WS_PROTOCOLS = ["ws:", "wss:"];
+
+/**
+ * Every setting: its CONFIG key (also the CONFIG_FILE key, dotted when
+ * nested), environment variable, type and bounds. aliases are legacy
+ * variables read only on their network. profile names the network profile
+ * field used as default; a default function sees the settings above
+ */
+const SETTINGS = [
+  {
+    key: "rpcUrls",
+    env: "RPC_URLS",
+    aliases: [{ env: "MANTLE_SEPOLIA_RPC_URL", network: "mantle-sepolia" }],
+    type: "list",
+    of: "url",
+    protocols: HTTP_PROTOCOLS,
+    profile: "rpcUrls",
+    default: [],
+  },
+  { key: "rpcQuorum", env: "RPC_QUORUM", type: "integer", min: 1, default: 1 },
+  {
+    key: "rpcStallTimeout",
+    env: "RPC_STALL_TIMEOUT",
+    type: "integer",
+    min: 100,
+    default: 2000,
+  },
+  {
+    key: "wsRpcUrl",
+    env: "WS_RPC_URL",
+    type: "url",
+    protocols: WS_PROTOCOLS,
+    default: null,
+  },
+  {
+    key: "signer.type",
+    env: "SIGNER_TYPE",
+    type: "enum",
+    values: ["keystore", "remote", "private-key"],
+    default: null,
+  },
+  {
+    key: "signer.keystorePath",
+    env: "OPERATOR_KEYSTORE_PATH",
+    type: "string",
+    default: null,
+  },
+  {
+    key: "signer.keystorePasswordFile",
+    env: "OPERATOR_KEYSTORE_PASSWORD_FILE",
+    type: "string",
+    default: null,
+  },
+  {
+    key: "signer.remoteUrl",
+    env: "REMOTE_SIGNER_URL",
+    type: "url",
+    protocols: HTTP_PROTOCOLS,
+    default: null,
+  },
+  {
+    key: "signer.remoteAddress",
+    env: "REMOTE_SIGNER_ADDRESS",
+    type: "address",
+    default: null,
+  },
+  {
+    key: "signer.privateKey",
+    env: "OPERATOR_PRIVATE_KEY",
+    type: "string",
+    secret: true,
+    default: null,
+  },
+  {
+    key: "signer.allowInsecureKey",
+    env: "ALLOW_INSECURE_PRIVATE_KEY",
+    type: "boolean",
+    default: false,
+  },
+  {
+    key: "identitiesPath",
+    env: "OPERATOR_IDENTITIES_FILE",
+    type: "string",
+    default: null,
+  },
+  {
+    key: "avsAddress",
+    env: "AVS_CONTRACT_ADDRESS",
+    type: "address",
+    profile: "avsAddress",
+    default: null,
+  },
+  {
+    key: "endpoint",
+    env: "OPERATOR_ENDPOINT",
+    type: "url",
+    protocols: HTTP_PROTOCOLS,
+    default: "http://localhost:3000",
+  },
+  {
+    key: "httpHost",
+    env: "OPERATOR_HTTP_HOST",
+    type: "string",
+    default: "0.0.0.0",
+  },
+  {
+    key: "httpPort",
+    env: "OPERATOR_HTTP_PORT",
+    type: "integer",
+    min: 1,
+    max: 65535,
+    // endpoint is null when it failed to parse, already reported
+    default: (config) =>
+      config.endpoint ? parseInt(new URL(config.endpoint).port) || 3000 : 3000,
+  },
+  {
+    key: "pollInterval",
+    env: "POLL_INTERVAL",
+    type: "integer",
+    min: 1000,
+    max: 3600000,
+    default: 30000,
+  },
+  {
+    key: "zkTLSApiUrl",
+    env: "ZKTLS_API_URL",
+    type: "url",
+    protocols: HTTP_PROTOCOLS,
+    profile: "zkTLSApiUrl",
+    default: DEFAULT_ZKTLS_API_URL,
+  },
+  {
+    key: "shadowMode",
+    env: "SHADOW_MODE",
+    type: "boolean",
+    default: false,
+  },
+  // Shadow instances keep their own state so they can run beside a live bot
+  {
+    key: "journalPath",
+    env: "TASK_JOURNAL_PATH",
+    type: "string",
+    default: (config) =>
+      config.shadowMode
+        ? "./data/shadow-journal.jsonl"
+        : "./data/task-journal.jsonl",
+  },
+  {
+    key: "checkpointPath",
+    env: "CHECKPOINT_PATH",
+    type: "string",
+    default: (config) =>
+      config.shadowMode
+        ? "./data/shadow-checkpoint.json"
+        : "./data/checkpoint.json",
+  },
+  {
+    key: "shutdownTimeout",
+    env: "SHUTDOWN_TIMEOUT",
+    type: "integer",
+    min: 0,
+    default: 60000,
+  },
+  {
+    key: "backfillBlockRange",
+    env: "BACKFILL_BLOCK_RANGE",
+    type: "integer",
+    min: 1,
+    default: 5000,
+  },
+  {
+    key: "backfillLookback",
+    env: "BACKFILL_LOOKBACK_BLOCKS",
+    type: "integer",
+    min: 0,
+    default: 10000,
+  },
+  {
+    key: "verifyMaxAttempts",
+    env: "VERIFY_MAX_ATTEMPTS",
+    type: "integer",
+    min: 1,
+    max: 20,
+    default: 4,
+  },
+  {
+    key: "verifyRetryBaseDelay",
+    env: "VERIFY_RETRY_BASE_DELAY",
+    type: "integer",
+    min: 0,
+    default: 5000,
+  },
+  {
+    key: "attestorAddresses",
+    env: "ZKTLS_ATTESTORS",
+    type: "list",
+    of: "address",
+    default: [],
+  },
+  {
+    key: "minAttestorSignatures",
+    env: "ZKTLS_MIN_SIGNATURES",
+    type: "integer",
+    min: 1,
+    default: 1,
+  },
+  {
+    key: "proofMaxAge",
+    env: "PROOF_MAX_AGE",
+    type: "integer",
+    min: 1,
+    default: 900,
+  },
+  {
+    key: "policyPath",
+    env: "VALIDATION_POLICY_FILE",
+    type: "string",
+    default: null,
+  },
+  {
+    key: "duplicatePrPolicy",
+    env: "DUPLICATE_PR_POLICY",
+    type: "enum",
+    values: ["reject", "alert"],
+    default: "reject",
+  },
+  // Self-hosted GitLab instances, besides gitlab.com
+  {
+    key: "gitlabHosts",
+    env: "GITLAB_HOSTS",
+    type: "list",
+    of: "host",
+    default: [],
+  },
+  {
+    key: "shadowReportPath",
+    env: "SHADOW_REPORT_PATH",
+    type: "string",
+    default: "./data/shadow-report.jsonl",
+  },
+  {
+    key: "watchdogMode",
+    env: "WATCHDOG_MODE",
+    type: "enum",
+    values: ["off", "report", "dispute"],
+    default: "off",
+  },
+  {
+    key: "watchdogReportPath",
+    env: "WATCHDOG_REPORT_PATH",
+    type: "string",
+    default: "./data/watchdog-report.jsonl",
+  },
+  // Reviews run on their own timer, at most watchdogMaxReviews per run; a
+  // task failing watchdogMaxAttempts runs is dropped as inconclusive
+  {
+    key: "watchdogInterval",
+    env: "WATCHDOG_INTERVAL",
+    type: "integer",
+    min: 1000,
+    max: 86400000,
+    default: 60000,
+  },
+  {
+    key: "watchdogMaxReviews",
+    env: "WATCHDOG_MAX_REVIEWS",
+    type: "integer",
+    min: 1,
+    default: 5,
+  },
+  {
+    key: "watchdogMaxAttempts",
+    env: "WATCHDOG_MAX_ATTEMPTS",
+    type: "integer",
+    min: 1,
+    default: 3,
+  },
+  {
+    key: "disputeContract",
+    env: "WATCHDOG_DISPUTE_CONTRACT",
+    type: "address",
+    default: (config) => config.avsAddress,
+  },
+  {
+    key: "disputeMethod",
+    env: "WATCHDOG_DISPUTE_METHOD",
+    type: "string",
+    default: null,
+  },
+  {
+    key: "disputeBond",
+    env: "WATCHDOG_DISPUTE_BOND",
+    type: "amount",
+    default: "0",
+  },
+  {
+    key: "gasLimitMultiplier",
+    env: "GAS_LIMIT_MULTIPLIER",
+    type: "number",
+    min: 1,
+    max: 10,
+    default: 1.2,
+  },
+  {
+    key: "maxFeePerGas",
+    env: "MAX_FEE_PER_GAS_GWEI",
+    type: "amount",
+    default: null,
+  },
+  {
+    key: "maxPriorityFeePerGas",
+    env: "MAX_PRIORITY_FEE_PER_GAS_GWEI",
+    type: "amount",
+    default: null,
+  },
+  {
+    key: "fastPriorityMultiplier",
+    env: "FAST_PRIORITY_FEE_MULTIPLIER",
+    type: "number",
+    min: 1,
+    max: 10,
+    default: 2,
+  },
+  {
+    key: "txStuckBlocks",
+    env: "TX_STUCK_BLOCKS",
+    type: "integer",
+    min: 1,
+    default: 10,
+  },
+  {
+    key: "txFeeBumpPercent",
+    env: "TX_FEE_BUMP_PERCENT",
+    type: "integer",
+    min: 10,
+    max: 1000,
+    default: 20,
+  },
+  {
+    key: "txMaxReplacements",
+    env: "TX_MAX_REPLACEMENTS",
+    type: "integer",
+    min: 0,
+    default: 3,
+  },
+  {
+    key: "taskConcurrency",
+    env: "TASK_CONCURRENCY",
+    type: "integer",
+    min: 1,
+    max: 64,
+    default: 4,
+  },
+  // Reuse of getTask reads and zkTLS proofs across identities; 0 still
+  // shares concurrent calls
+  {
+    key: "taskCacheTtl",
+    env: "TASK_CACHE_TTL",
+    type: "integer",
+    min: 0,
+    default: 2000,
+  },
+  {
+    key: "proofCacheTtl",
+    env: "PROOF_CACHE_TTL",
+    type: "integer",
+    min: 0,
+    default: 30000,
+  },
+  {
+    key: "stakeAmount",
+    env: "STAKE_AMOUNT",
+    type: "amount",
+    default: "100",
+  },
+];
+
+const NETWORK_FIELDS = {
+  chainId: { type: "integer", min: 1 },
+  rpcUrls: { type: "list", of: "url", protocols: HTTP_PROTOCOLS },
+  avsAddress: { type: "address" },
+  zkTLSApiUrl: { type: "url", protocols: HTTP_PROTOCOLS },
+};
+
+class ConfigError extends Error {
+  constructor(message, problems = []) {
+    const lines = problems.map((problem) => `  - ${problem}`);
+    super(lines.length > 0 ? `${message}:\n${lines.join("\n")}` : message);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Value parsers; each returns the parsed value or throws with what is
+ * expected
+ */
+const PARSERS = {
+  string(value) {
+    if (typeof value !== "string" || !value.trim()) {
+      throw new Error("must be a non-empty string");
+    }
+    return value.trim();
+  },
+
+  url(value, setting) {
+    const url = PARSERS.string(value);
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error("must be a URL");
+    }
+    if (setting.protocols && !setting.protocols.includes(parsed.protocol)) {
+      throw new Error(
+        `must start with ${setting.protocols
+          .map((protocol) => `${protocol}//`)
+          .join(" or ")}`
+      );
+    }
+    return url;
+  },
+
+  host(value) {
+    const host = PARSERS.string(value).toLowerCase();
+    if (!/^[a-z0-9.-]+(:\d+)?$/.test(host)) {
+      throw new Error("must be host names such as gitlab.example.com");
+    }
+    return host;
+  },
+
+  address(value) {
+    const address = PARSERS.string(value);
+    if (!ethers.utils.isAddress(address)) {
+      throw new Error(
+        "must be a 0x-prefixed address (checksummed if mixed-case)"
+      );
+    }
+    return ethers.utils.getAddress(address);
+  },
+
+  integer(value, setting) {
+    const number =
+      typeof value === "number"
+        ? value
+        : /^-?\d+$/.test(String(value).trim())
+        ? Number(value)
+        : NaN;
+    if (!Number.isInteger(number)) {
+      throw new Error(`must be an integer${describeRange(setting)}`);
+    }
+    return checkRange(number, setting);
+  },
+
+  number(value, setting) {
+    const number =
+      typeof value === "number"
+        ? value
+        : String(value).trim() !== ""
+        ? Number(value)
+        : NaN;
+    if (!Number.isFinite(number)) {
+      throw new Error(`must be a number${describeRange(setting)}`);
+    }
+    return checkRange(number, setting);
+  },
+
+  boolean(value) {
+    if (typeof value === "boolean") return value;
+    if (value === "true") return true;
+    if (value === "false") return false;
+    throw new Error("must be true or false");
+  },
+
+  enum(value, setting) {
+    if (!setting.values.includes(value)) {
+      throw new Error(`must be one of ${setting.values.join(", ")}`);
+    }
+    return value;
+  },
+
+  amount(value) {
+    const amount = String(value).trim();
+    if (!/^\d+(\.\d+)?$/.test(amount)) {
+      throw new Error("must be a decimal amount such as 100 or 0.5");
+    }
+    return amount;
+  },
+
+  list(value, setting) {
+    let items;
+    if (Array.isArray(value)) {
+      items = value;
+    } else if (typeof value === "string") {
+      items = value.split(",");
+    } else {
+      throw new Error("must be a list or a comma-separated string");
+    }
+
+    return items
+      .map((item) => String(item).trim())
+      .filter(Boolean)
+      .map((item) => PARSERS[setting.of](item, setting));
+  },
+};
+
+function describeRange({ min, max }) {
+  if (min !== undefined && max !== undefined) {
+    return ` between ${min} and ${max}`;
+  }
+  if (min !== undefined) return ` of at least ${min}`;
+  if (max !== undefined) return ` of at most ${max}`;
+  return "";
+}
+
+function checkRange(number, setting) {
+  if (
+    (setting.min !== undefined && number < setting.min) ||
+    (setting.max !== undefined && number > setting.max)
+  ) {
+    throw new Error(`must be${describeRange(setting)}`);
+  }
+  return number;
+}
+
+/**
+ * Read CONFIG_FILE; .yaml/.yml and .json are accepted
+ */
+function readConfigFile(filePath) {
+  const resolved = path.resolve(filePath);
+  const extension = path.extname(resolved).toLowerCase();
+  if (![".yaml", ".yml", ".json"].includes(extension)) {
+    throw new ConfigError(
+      `CONFIG_FILE ${filePath} must end in .yaml, .yml or .json`
+    );
+  }
+
+  let document;
+  try {
+    const text = fs.readFileSync(resolved, "utf8");
+    document = extension === ".json" ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new ConfigError(
+      `Cannot read CONFIG_FILE ${filePath}: ${error.message}`
+    );
+  }
+
+  if (document === null || document === undefined) {
+    return {};
+  }
+  if (typeof document !== "object" || Array.isArray(document)) {
+    throw new ConfigError(`CONFIG_FILE ${filePath} must contain a mapping`);
+  }
+  return document;
+}
+
+/**
+ * File keys the schema does not know, e.g. "pollIntervall" or "signer.path"
+ */
+function findUnknownKeys(document) {
+  const known = new Set(SETTINGS.map((setting) => setting.key));
+  const unknown = [];
+
+  for (const [key, value] of Object.entries(document)) {
+    if (key === "network" || key === "networks") continue;
+
+    if (key === "signer" && value && typeof value === "object") {
+      for (const nested of Object.keys(value)) {
+        if (!known.has(`signer.${nested}`)) unknown.push(`signer.${nested}`);
+      }
+    } else if (!known.has(key)) {
+      unknown.push(key);
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Built-in profiles merged with the file's "networks"
+ */
+function loadNetworks(document, problems) {
+  const networks = {};
+  for (const [name, profile] of Object.entries(NETWORKS)) {
+    networks[name] = { ...profile };
+  }
+
+  const custom = document.networks || {};
+  if (typeof custom !== "object" || Array.isArray(custom)) {
+    problems.push("networks (CONFIG_FILE): must map network names to profiles");
+    return networks;
+  }
+
+  for (const [name, profile] of Object.entries(custom)) {
+    if (!profile || typeof profile !== "object") {
+      problems.push(`networks.${name} (CONFIG_FILE): must be a mapping`);
+      continue;
+    }
+
+    const merged = { ...(networks[name] || {}) };
+    for (const [field, value] of Object.entries(profile)) {
+      const where = `networks.${name}.${field} (CONFIG_FILE)`;
+      if (!NETWORK_FIELDS[field]) {
+        problems.push(
+          `${where}: unknown field, expected ${Object.keys(NETWORK_FIELDS).join(
+            ", "
+          )}`
+        );
+        continue;
+      }
+      try {
+        merged[field] = parseValue(NETWORK_FIELDS[field], value);
+      } catch (error) {
+        problems.push(`${where}: ${error.message}`);
+      }
+    }
+
+    if (!merged.chainId) {
+      problems.push(`networks.${name}.chainId (CONFIG_FILE): is required`);
+    }
+    networks[name] = merged;
+  }
+  return networks;
+}
+
+function parseValue(setting, value) {
+  return PARSERS[setting.type](value, setting);
+}
+
+function readPath(document, key) {
+  return key
+    .split(".")
+    .reduce(
+      (value, part) =>
+        value && typeof value === "object" ? value[part] : undefined,
+      document
+    );
+}
+
+function setValue(target, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  const parent = parts.reduce((object, part) => {
+    if (!object[part]) object[part] = {};
+    return object[part];
+  }, target);
+  parent[last] = value;
+}
+
+/**
+ * First set variable among a setting's env name and the aliases of the
+ * selected network; empty values (as in .env.example) count as unset
+ */
+function findEnv(setting, networkName) {
+  const aliases = (setting.aliases || [])
+    .filter((alias) => alias.network === networkName)
+    .map((alias) => alias.env);
+
+  return [setting.env, ...aliases].find(
+    (name) => process.env[name] !== undefined && process.env[name] !== ""
+  );
+}
+
+/**
+ * Build and validate the configuration
+ * @throws {ConfigError} listing every invalid setting
+ */
+function loadConfig() {
+  const configFile = process.env.CONFIG_FILE || null;
+  const document = configFile ? readConfigFile(configFile) : {};
+  const problems = [];
+
+  for (const key of findUnknownKeys(document)) {
+    problems.push(`${key} (CONFIG_FILE): unknown setting`);
+  }
+
+  const networks = loadNetworks(document, problems);
+  const networkName =
+    process.env.NETWORK || document.network || DEFAULT_NETWORK;
+  const profile = networks[networkName];
+  if (!profile) {
+    throw new ConfigError(
+      `Unknown network "${networkName}" (NETWORK or "network" in ` +
+        `CONFIG_FILE), expected one of ${Object.keys(networks).join(", ")}`,
+      problems
+    );
+  }
+
+  const values = {};
+  for (const setting of SETTINGS) {
+    const envName = findEnv(setting, networkName);
+    const fileValue = readPath(document, setting.key);
+
+    let raw;
+    let source;
+    if (envName) {
+      raw = process.env[envName];
+      source = envName;
+    } else if (fileValue !== undefined && fileValue !== null) {
+      raw = fileValue;
+      source = "CONFIG_FILE";
+    }
+
+    if (source === undefined) {
+      const fromProfile = setting.profile ? profile[setting.profile] : null;
+      values[setting.key] =
+        fromProfile !== null && fromProfile !== undefined
+          ? fromProfile
+          : typeof setting.default === "function"
+          ? setting.default(values)
+          : setting.default;
+      continue;
+    }
+
+    try {
+      values[setting.key] = parseValue(setting, raw);
+    } catch (error) {
+      const shown = setting.secret ? "" : `, got ${JSON.stringify(raw)}`;
+      problems.push(`${setting.key} (${source}): ${error.message}${shown}`);
+      values[setting.key] = null;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(
+      `Invalid configuration${configFile ? ` in ${configFile}` : ""}`,
+      problems
+    );
+  }
+
+  const config = {
+    network: { name: networkName, chainId: profile.chainId },
+    configFile,
+  };
+  for (const setting of SETTINGS) {
+    setValue(config, setting.key, values[setting.key]);
+  }
+  config.gitlabHosts = ["gitlab.com", ...config.gitlabHosts];
+  return config;
+}
+
+/**
+ * Fail startup when settings a command needs are missing
+ * @throws {ConfigError} naming every missing setting and where to set it
+ */
+function requireSettings(...keys) {
+  const missing = keys
+    .filter((key) => {
+      const value = readPath(CONFIG, key);
+      return value === null || (Array.isArray(value) && value.length === 0);
+    })
+    .map((key) => {
+      const setting = SETTINGS.find((candidate) => candidate.key === key);
+      const sources = [setting.env, `"${key}" in CONFIG_FILE`];
+      if (setting.profile) {
+        sources.push(`networks.${CONFIG.network.name}.${setting.profile}`);
+      }
+      return `${key}: set ${sources.join(" or ")}`;
+    });
+
+  if (missing.length > 0) {
+    throw new ConfigError("Missing required configuration", missing);
+  }
+}
+
+// Loaded once on first require; a ConfigError propagates to the entry
+// point, which reports it and exits
+const CONFIG = loadConfig();
+
+module.exports = {
+  CONFIG,
+  NETWORKS,
+  ConfigError,
+  loadConfig,
+  requireSettings,
+};
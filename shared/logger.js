@@ -0,0 +1,218 @@
+/**
+ * Shared logger for operator and register modules
+ * Leveled output in pretty (console look) or JSON mode with central redaction
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+const REDACTED = "[REDACTED]";
+
+const SENSITIVE_KEY_PATTERN =
+  /authorization|access[_-]?token|private[_-]?key|secret|password|cookie|api[_-]?key/i;
+
+const SECRET_PATTERNS = [
+  // Bearer tokens in headers or error messages
+  [/(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/gi, `$1${REDACTED}`],
+  // GitHub personal, OAuth, app and fine-grained tokens
+  [
+    /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})\b/g,
+    REDACTED,
+  ],
+  // Key-value pairs such as privateKey=0x... or "accessToken":"..."
+  [
+    /((?:private[_-]?key|access[_-]?token|api[_-]?key|password)["']?\s*[:=]\s*["']?)[^"'\s,}]+/gi,
+    `$1${REDACTED}`,
+  ],
+];
+
+const LEADING_DECORATION = /^[\s\p{Extended_Pictographic}️‍]+/u;
+
+class Logger {
+  constructor(options = {}) {
+    this.level = LEVELS[options.level] || LEVELS.info;
+    this.format = options.format === "json" ? "json" : "pretty";
+    this.fields = options.fields || {};
+    this.secrets = options.secrets || new Set();
+    this.storage = options.storage || new AsyncLocalStorage();
+    // Context store -> { parent, secrets } for secrets added in withContext
+    this.scopes = options.scopes || new WeakMap();
+  }
+
+  debug(message, fields) {
+    this._write("debug", message, fields);
+  }
+
+  info(message, fields) {
+    this._write("info", message, fields);
+  }
+
+  warn(message, fields) {
+    this._write("warn", message, fields);
+  }
+
+  error(message, fields) {
+    this._write("error", message, fields);
+  }
+
+  /**
+   * Print decorative output (banners) in pretty mode only
+   */
+  banner(text) {
+    if (this.format === "pretty") {
+      console.log(text);
+    }
+  }
+
+  /**
+   * Resolve once buffered stdout/stderr output has been handed to the OS
+   */
+  flush() {
+    return Promise.all(
+      [process.stdout, process.stderr].map(
+        (stream) => new Promise((resolve) => stream.write("", resolve))
+      )
+    );
+  }
+
+  /**
+   * Logger carrying extra fields on every entry
+   */
+  child(fields) {
+    return new Logger({
+      level: this._levelName(),
+      format: this.format,
+      fields: { ...this.fields, ...fields },
+      secrets: this.secrets,
+      storage: this.storage,
+      scopes: this.scopes,
+    });
+  }
+
+  /**
+   * Run fn with fields attached to every entry logged inside it,
+   * including entries from modules that never see the fields directly
+   */
+  withContext(fields, fn) {
+    const parent = this.storage.getStore();
+    const store = { ...parent, ...fields };
+    this.scopes.set(store, { parent: parent || null, secrets: new Set() });
+    return this.storage.run(store, fn);
+  }
+
+  /**
+   * Add fields to the current context once they become known
+   */
+  addContext(fields) {
+    const store = this.storage.getStore();
+    if (store) {
+      Object.assign(store, fields);
+    }
+  }
+
+  /**
+   * Register a secret value to be masked wherever it appears
+   * Inside withContext it is masked until the context ends, so per-task
+   * tokens do not accumulate; outside any context, for the process lifetime
+   */
+  addSecret(value) {
+    if (typeof value !== "string" || value.length < 8) return;
+
+    const scope = this.scopes.get(this.storage.getStore());
+    (scope ? scope.secrets : this.secrets).add(value);
+  }
+
+  /**
+   * Mask secrets in strings and sensitive keys in objects
+   */
+  redact(value, depth = 0) {
+    if (typeof value === "string") {
+      return this._redactString(value);
+    }
+
+    if (value instanceof Error) {
+      return this._redactString(value.message);
+    }
+
+    if (!value || typeof value !== "object" || depth > 8) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redact(item, depth + 1));
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = SENSITIVE_KEY_PATTERN.test(key)
+        ? REDACTED
+        : this.redact(item, depth + 1);
+    }
+    return result;
+  }
+
+  _redactString(text) {
+    let result = text;
+    for (const secret of this._activeSecrets()) {
+      result = result.split(secret).join(REDACTED);
+    }
+    for (const [pattern, replacement] of SECRET_PATTERNS) {
+      result = result.replace(pattern, replacement);
+    }
+    return result;
+  }
+
+  /**
+   * Process-wide secrets, then those of the current context and its parents
+   */
+  *_activeSecrets() {
+    yield* this.secrets;
+
+    let store = this.storage.getStore();
+    while (store) {
+      const scope = this.scopes.get(store);
+      if (!scope) break;
+      yield* scope.secrets;
+      store = scope.parent;
+    }
+  }
+
+  _write(level, message, fields) {
+    if (LEVELS[level] < this.level) return;
+
+    const text = this.redact(String(message));
+    const stream = level === "error" ? console.error : console.log;
+
+    if (this.format === "pretty") {
+      stream(text);
+      return;
+    }
+
+    const entry = this.redact({
+      time: new Date().toISOString(),
+      level,
+      msg: text.replace(LEADING_DECORATION, "").trim(),
+      ...this.fields,
+      ...this.storage.getStore(),
+      ...fields,
+    });
+    stream(JSON.stringify(entry));
+  }
+
+  _levelName() {
+    return Object.keys(LEVELS).find((name) => LEVELS[name] === this.level);
+  }
+}
+
+const logger = new Logger({
+  level: process.env.LOG_LEVEL,
+  format: process.env.LOG_FORMAT,
+});
+
+module.exports = { Logger, logger, LEVELS };
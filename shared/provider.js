@@ -0,0 +1,256 @@
+/**
+ * Shared provider setup for operator and register modules
+ * HTTP failover or quorum reads over several RPC URLs, and WebSocket event
+ * subscriptions that reconnect and resubscribe on their own
+ */
+
+const { ethers } = require("ethers");
+const { logger } = require("./logger");
+
+const WS_PING_INTERVAL = 30000;
+const WS_RECONNECT_BASE_DELAY = 1000;
+const WS_RECONNECT_MAX_DELAY = 60000;
+
+/**
+ * FallbackProvider that starts with any reachable endpoint
+ * ethers requires every endpoint to answer network detection; here the
+ * reachable ones must agree and the others are retried on later calls
+ */
+class FailoverProvider extends ethers.providers.FallbackProvider {
+  async detectNetwork() {
+    const results = await Promise.allSettled(
+      this.providerConfigs.map((config) => config.provider.getNetwork())
+    );
+
+    const networks = results
+      .filter((result) => result.status === "fulfilled")
+      .map((result) => result.value);
+    if (networks.length === 0) {
+      throw results[0].reason;
+    }
+
+    const chainIds = new Set(networks.map((network) => network.chainId));
+    if (chainIds.size > 1) {
+      throw new Error(
+        `RPC URLs are on different chains (${[...chainIds].join(", ")})`
+      );
+    }
+    return networks[0];
+  }
+}
+
+/**
+ * Provider for a list of RPC URLs
+ * One URL gives a JsonRpcProvider. Several give a FailoverProvider that
+ * prefers them in order, moves on to the next when one errors or stalls
+ * for stallTimeout ms and, with quorum > 1, only returns a result that
+ * quorum endpoints agree on
+ */
+function createProvider({ urls, quorum = 1, stallTimeout = 2000 }) {
+  if (!urls || urls.length === 0) {
+    throw new Error(
+      "No RPC URL configured (RPC_URLS, or rpcUrls in CONFIG_FILE)"
+    );
+  }
+  if (quorum < 1 || quorum > urls.length) {
+    throw new Error(
+      `RPC_QUORUM ${quorum} must be between 1 and the number of RPC URLs (${urls.length})`
+    );
+  }
+
+  if (urls.length === 1) {
+    return new ethers.providers.JsonRpcProvider(urls[0]);
+  }
+
+  return new FailoverProvider(
+    urls.map((url, index) => ({
+      provider: new ethers.providers.StaticJsonRpcProvider(url),
+      priority: index + 1,
+      stallTimeout,
+      weight: 1,
+    })),
+    quorum
+  );
+}
+
+/**
+ * Fail unless the provider is on the configured network's chain, so a
+ * Mantle mainnet RPC is never used with a testnet profile or vice versa
+ */
+async function verifyChainId(provider, network) {
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== network.chainId) {
+    throw new Error(
+      `RPC is on chain ${chainId} but network "${network.name}" expects chain ${network.chainId}`
+    );
+  }
+}
+
+/**
+ * Block number from every endpoint behind a provider, for health checks
+ * Endpoints are reported by host only; URLs often embed API keys
+ */
+async function checkEndpoints(provider, timeoutMs) {
+  const providers = provider.providerConfigs
+    ? provider.providerConfigs.map((config) => config.provider)
+    : [provider];
+
+  return await Promise.all(
+    providers.map(async (endpoint) => {
+      const host = new URL(endpoint.connection.url).host;
+      let timer;
+      try {
+        const blockNumber = await Promise.race([
+          endpoint.getBlockNumber(),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error("timeout")), timeoutMs);
+          }),
+        ]);
+        return { host, ok: true, blockNumber };
+      } catch (error) {
+        return { host, ok: false, error: error.message };
+      } finally {
+        clearTimeout(timer);
+      }
+    })
+  );
+}
+
+/**
+ * Contract event subscriptions over a WebSocket
+ * Dead connections are detected by ping, then reopened with exponential
+ * backoff and every subscription is attached again; onReconnect lets the
+ * caller catch up on events missed while disconnected
+ */
+class WebSocketEvents {
+  constructor(url, { onReconnect = () => {} } = {}) {
+    this.url = url;
+    this.onReconnect = onReconnect;
+    this.subscriptions = [];
+    this.provider = null;
+    this.isConnected = false;
+    this.attempts = 0;
+    this.closed = false;
+    this.heartbeat = null;
+    this.reconnectTimer = null;
+  }
+
+  get host() {
+    return new URL(this.url).host;
+  }
+
+  connect() {
+    const provider = new ethers.providers.WebSocketProvider(this.url);
+    const socket = provider.websocket;
+    this.provider = provider;
+
+    // ethers only sets onopen/onmessage; these listeners keep a failed
+    // socket from throwing and notice when it closes
+    socket.on("open", () => {
+      const reconnected = this.attempts > 0;
+      this.isConnected = true;
+      this.attempts = 0;
+      this._startHeartbeat(socket);
+
+      if (reconnected) {
+        logger.info(`🔌 WebSocket reconnected (${this.host})`);
+        this.onReconnect();
+      }
+    });
+    socket.on("error", (error) => {
+      logger.warn(`⚠️  WebSocket error (${this.host}): ${error.message}`);
+    });
+    socket.on("close", () => this._handleClose(provider));
+
+    for (const subscription of this.subscriptions) {
+      this._attach(subscription);
+    }
+  }
+
+  /**
+   * Subscribe to a contract event, kept across reconnects
+   */
+  subscribe(address, abi, eventName, callback) {
+    const subscription = { address, abi, eventName, callback };
+    this.subscriptions.push(subscription);
+
+    if (this.provider) {
+      this._attach(subscription);
+    }
+  }
+
+  unsubscribeAll() {
+    this.subscriptions = [];
+    if (this.provider) {
+      this.provider.removeAllListeners();
+    }
+  }
+
+  async destroy() {
+    this.closed = true;
+    this.unsubscribeAll();
+    this._stopHeartbeat();
+    clearTimeout(this.reconnectTimer);
+
+    if (this.provider) {
+      await this.provider.destroy().catch(() => {});
+      this.provider = null;
+    }
+    this.isConnected = false;
+  }
+
+  _attach({ address, abi, eventName, callback }) {
+    new ethers.Contract(address, abi, this.provider).on(eventName, callback);
+  }
+
+  _handleClose(provider) {
+    if (provider !== this.provider) return;
+
+    this.isConnected = false;
+    this._stopHeartbeat();
+    provider.removeAllListeners();
+
+    if (this.closed) return;
+
+    const delay = Math.min(
+      WS_RECONNECT_BASE_DELAY * 2 ** this.attempts,
+      WS_RECONNECT_MAX_DELAY
+    );
+    this.attempts++;
+    logger.warn(
+      `🔌 WebSocket closed (${this.host}), reconnecting in ${delay / 1000}s...`
+    );
+    this.reconnectTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  _startHeartbeat(socket) {
+    this._stopHeartbeat();
+
+    let alive = true;
+    socket.on("pong", () => {
+      alive = true;
+    });
+
+    this.heartbeat = setInterval(() => {
+      if (!alive) {
+        logger.warn(`⚠️  WebSocket ping unanswered (${this.host})`);
+        socket.terminate();
+        return;
+      }
+      alive = false;
+      socket.ping();
+    }, WS_PING_INTERVAL);
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+}
+
+module.exports = {
+  createProvider,
+  verifyChainId,
+  checkEndpoints,
+  WebSocketEvents,
+};
@@ -0,0 +1,317 @@
+/**
+ * Shared signer setup for operator and register modules
+ * Loads the operator's ethers Signer from an encrypted keystore, a remote
+ * JSON-RPC signer, or a plaintext key behind an explicit insecure flag
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+const { ethers } = require("ethers");
+const { logger } = require("./logger");
+
+const SIGNER_TYPES = {
+  KEYSTORE: "keystore",
+  REMOTE: "remote",
+  PRIVATE_KEY: "private-key",
+};
+
+// Compared between a transaction request and what the remote signer signed
+const SIGNED_NUMBER_FIELDS = [
+  "nonce",
+  "chainId",
+  "type",
+  "gasLimit",
+  "gasPrice",
+  "maxFeePerGas",
+  "maxPriorityFeePerGas",
+];
+
+/**
+ * Signer backed by a JSON-RPC endpoint implementing eth_signTransaction
+ * (web3signer, or geth with an unlocked account); the key never enters
+ * this process. Transactions are broadcast through the connected provider
+ */
+class RemoteSigner extends ethers.Signer {
+  constructor(url, address = null, provider = null) {
+    super();
+    ethers.utils.defineReadOnly(this, "url", url);
+    ethers.utils.defineReadOnly(this, "provider", provider);
+    this.address = address ? ethers.utils.getAddress(address) : null;
+    this.requestId = 1;
+  }
+
+  /**
+   * Configured address, or the first account the signer exposes
+   */
+  async getAddress() {
+    if (!this.address) {
+      const accounts = await this._send("eth_accounts", []);
+      if (!accounts || accounts.length === 0) {
+        throw new Error(`Remote signer ${this.host} exposes no accounts`);
+      }
+      this.address = ethers.utils.getAddress(accounts[0]);
+    }
+    return this.address;
+  }
+
+  async signTransaction(transaction) {
+    const tx = await ethers.utils.resolveProperties(transaction);
+    const from = await this.getAddress();
+    const request = ethers.providers.JsonRpcProvider.hexlifyTransaction(
+      { ...tx, from },
+      { from: true }
+    );
+
+    const result = await this._send("eth_signTransaction", [request]);
+    const raw = typeof result === "string" ? result : result && result.raw;
+    if (!raw) {
+      throw new Error(`Remote signer ${this.host} returned no raw transaction`);
+    }
+
+    // Never broadcast something other than what was asked for
+    const mismatched = mismatchedFields(
+      tx,
+      from,
+      ethers.utils.parseTransaction(raw)
+    );
+    if (mismatched.length > 0) {
+      throw new Error(
+        `Remote signer ${this.host} signed a different transaction than requested (${mismatched.join(", ")})`
+      );
+    }
+    return raw;
+  }
+
+  async signMessage(message) {
+    const data =
+      typeof message === "string" ? ethers.utils.toUtf8Bytes(message) : message;
+    return await this._send("personal_sign", [
+      ethers.utils.hexlify(data),
+      (await this.getAddress()).toLowerCase(),
+    ]);
+  }
+
+  connect(provider) {
+    return new RemoteSigner(this.url, this.address, provider);
+  }
+
+  get host() {
+    return new URL(this.url).host;
+  }
+
+  async _send(method, params) {
+    const response = await ethers.utils.fetchJson(
+      this.url,
+      JSON.stringify({
+        jsonrpc: "2.0",
+        id: this.requestId++,
+        method,
+        params,
+      })
+    );
+    if (response.error) {
+      throw new Error(
+        `Remote signer ${method} failed: ${response.error.message}`
+      );
+    }
+    return response.result;
+  }
+}
+
+/**
+ * Fields of a signed transaction that differ from the request; numeric
+ * fields left unset in the request are the signer's to choose
+ */
+function mismatchedFields(requested, from, signed) {
+  const mismatched = [];
+
+  if (signed.from !== from) mismatched.push("from");
+
+  const to = requested.to ? ethers.utils.getAddress(requested.to) : null;
+  if ((signed.to || null) !== to) mismatched.push("to");
+
+  const data = ethers.utils.hexlify(requested.data || "0x").toLowerCase();
+  if (signed.data.toLowerCase() !== data) mismatched.push("data");
+
+  if (!signed.value.eq(requested.value || 0)) mismatched.push("value");
+
+  for (const field of SIGNED_NUMBER_FIELDS) {
+    const expected = requested[field];
+    if (expected === undefined || expected === null) continue;
+
+    // Legacy transactions parse with a null type
+    const actual = field === "type" ? signed.type || 0 : signed[field];
+    if (
+      actual === undefined ||
+      actual === null ||
+      !ethers.BigNumber.from(actual).eq(expected)
+    ) {
+      mismatched.push(field);
+    }
+  }
+
+  return mismatched;
+}
+
+/**
+ * Unlocked, unconnected signer and its address
+ */
+async function loadSigner(options) {
+  const type = resolveSignerType(options);
+
+  switch (type) {
+    case SIGNER_TYPES.KEYSTORE: {
+      const json = readKeystore(options.keystorePath);
+      const password = options.keystorePasswordFile
+        ? readPasswordFile(options.keystorePasswordFile)
+        : await promptPassword(`🔑 Password for ${options.keystorePath}: `);
+      logger.addSecret(password);
+
+      let wallet;
+      try {
+        wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+      } catch (error) {
+        throw new Error(
+          `Cannot decrypt keystore ${options.keystorePath}: ${error.message}`
+        );
+      }
+      logger.addSecret(wallet.privateKey);
+      return { signer: wallet, address: wallet.address };
+    }
+
+    case SIGNER_TYPES.REMOTE: {
+      const signer = new RemoteSigner(options.remoteUrl, options.remoteAddress);
+      return { signer, address: await signer.getAddress() };
+    }
+
+    case SIGNER_TYPES.PRIVATE_KEY: {
+      if (!options.allowInsecureKey) {
+        throw new Error(
+          "OPERATOR_PRIVATE_KEY is a plaintext key; use OPERATOR_KEYSTORE_PATH " +
+            "or REMOTE_SIGNER_URL, or set ALLOW_INSECURE_PRIVATE_KEY=true"
+        );
+      }
+      logger.addSecret(options.privateKey);
+      logger.warn("⚠️  Signing with a plaintext private key (insecure)");
+      const wallet = new ethers.Wallet(options.privateKey);
+      return { signer: wallet, address: wallet.address };
+    }
+  }
+}
+
+/**
+ * The configured signer's address without unlocking it, null if no signer
+ * is configured; for read-only uses such as shadow mode
+ */
+async function readSignerAddress(options) {
+  let type;
+  try {
+    type = resolveSignerType(options);
+  } catch (error) {
+    return null;
+  }
+
+  switch (type) {
+    case SIGNER_TYPES.KEYSTORE:
+      return ethers.utils.getAddress(
+        ethers.utils.getJsonWalletAddress(readKeystore(options.keystorePath))
+      );
+    case SIGNER_TYPES.REMOTE:
+      return await new RemoteSigner(
+        options.remoteUrl,
+        options.remoteAddress
+      ).getAddress();
+    case SIGNER_TYPES.PRIVATE_KEY:
+      logger.addSecret(options.privateKey);
+      return ethers.utils.computeAddress(options.privateKey);
+  }
+}
+
+/**
+ * SIGNER_TYPE, or the only signer source configured
+ */
+function resolveSignerType(options) {
+  if (options.type) {
+    if (!Object.values(SIGNER_TYPES).includes(options.type)) {
+      throw new Error(
+        `SIGNER_TYPE "${options.type}" must be one of ${Object.values(
+          SIGNER_TYPES
+        ).join(", ")}`
+      );
+    }
+    return options.type;
+  }
+
+  const configured = [
+    options.keystorePath && SIGNER_TYPES.KEYSTORE,
+    options.remoteUrl && SIGNER_TYPES.REMOTE,
+    options.privateKey && SIGNER_TYPES.PRIVATE_KEY,
+  ].filter(Boolean);
+
+  if (configured.length === 0) {
+    throw new Error(
+      "No signer configured: set OPERATOR_KEYSTORE_PATH, REMOTE_SIGNER_URL " +
+        "or OPERATOR_PRIVATE_KEY"
+    );
+  }
+  if (configured.length > 1) {
+    throw new Error(
+      `Several signers configured (${configured.join(", ")}), ` +
+        `choose one with SIGNER_TYPE`
+    );
+  }
+  return configured[0];
+}
+
+function readKeystore(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new Error(`Cannot read keystore ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Password file contents without the trailing newline editors add
+ */
+function readPasswordFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8").replace(/\r?\n$/, "");
+  } catch (error) {
+    throw new Error(`Cannot read password file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read a password from the terminal without echoing it
+ */
+function promptPassword(question) {
+  if (!process.stdin.isTTY) {
+    throw new Error(
+      "OPERATOR_KEYSTORE_PASSWORD_FILE is required when not run from a terminal"
+    );
+  }
+
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true,
+    });
+    rl._writeToOutput = (text) => {
+      if (text === question) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+module.exports = {
+  loadSigner,
+  readSignerAddress,
+  RemoteSigner,
+  SIGNER_TYPES,
+};
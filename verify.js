@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+/**
+ * Verify a task or PR link without submitting
+ * Entry point - delegates to modular implementation
+ */
+
+const { logger } = require("./shared/logger");
+
+// Invalid settings throw while the configuration loads, before main runs
+if (require.main === module) {
+  try {
+    require("./shared/config");
+  } catch (error) {
+    exitWithError(error);
+  }
+}
+
+const { VerifyController } = require("./operator/verify.controller");
+
+async function main() {
+  const controller = new VerifyController(process.argv.slice(2));
+  const result = await controller.execute();
+  await logger.flush();
+  process.exit(result.isValid ? 0 : 1);
+}
+
+if (require.main === module) {
+  main().catch(exitWithError);
+}
+
+/**
+ * Log a fatal error and exit; a ConfigError already lists every problem
+ */
+function exitWithError(error) {
+  logger.error(
+    error.name === "ConfigError"
+      ? `❌ ${error.message}`
+      : `❌ Fatal error: ${error.stack || error.message}`
+  );
+  process.exit(1);
+}
+
+module.exports = { VerifyController };